@@ -0,0 +1,188 @@
+/**
+ * Article metadata extraction (author, publish date, publisher, language, lead image)
+ * Reads JSON-LD, OpenGraph and standard <meta> tags, in that order of preference.
+ */
+
+// JSON-LD types that describe an article-like page
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'Report', 'ScholarlyArticle', 'AnalysisNewsArticle', 'ReportageNewsArticle', 'WebPage'];
+
+/**
+ * Extracts metadata from a parsed HTML document
+ * Must be called before Readability runs, as Readability modifies the document.
+ * @param {Document} document - The parsed HTML document
+ * @param {string} url - The page URL (used to resolve relative image URLs)
+ * @returns {Object} Metadata (author, publishedDate, siteName, language, imageUrl); missing fields are omitted
+ */
+export function extractArticleMetadata(document, url) {
+  const jsonLd = findJsonLdArticle(document);
+  const meta = (...names) => getMetaContent(document, names);
+
+  const metadata = {
+    author: getJsonLdName(jsonLd?.author) ||
+      meta('author', 'article:author', 'parsely-author', 'sailthru.author', 'dc.creator', 'citation_author') ||
+      document.querySelector('[rel="author"]')?.textContent?.trim(),
+    publishedDate: normalizeDate(
+      jsonLd?.datePublished ||
+      meta('article:published_time', 'og:published_time', 'parsely-pub-date', 'publish-date', 'pubdate',
+        'date', 'dc.date', 'dc.date.issued', 'dcterms.created', 'citation_publication_date', 'sailthru.date') ||
+      document.querySelector('time[datetime]')?.getAttribute('datetime')
+    ),
+    siteName: getJsonLdName(jsonLd?.publisher) ||
+      meta('og:site_name', 'application-name', 'publisher', 'dc.publisher'),
+    language: normalizeLanguage(
+      document.documentElement?.getAttribute('lang') ||
+      jsonLd?.inLanguage ||
+      meta('og:locale', 'language', 'dc.language', 'content-language')
+    ),
+    imageUrl: resolveUrl(
+      getJsonLdImage(jsonLd?.image) ||
+      meta('og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'),
+      url
+    )
+  };
+
+  return compact(metadata);
+}
+
+/**
+ * Merges Readability's own metadata into extracted metadata
+ * Readability's byline, site name and language fill any gaps left by the page markup.
+ * @param {Object} metadata - Metadata from extractArticleMetadata()
+ * @param {Object} article - The Readability parse() result
+ * @returns {Object} The merged metadata
+ */
+export function mergeReadabilityMetadata(metadata, article) {
+  return compact({
+    author: metadata.author || cleanByline(article.byline),
+    publishedDate: metadata.publishedDate || normalizeDate(article.publishedTime),
+    siteName: metadata.siteName || article.siteName,
+    language: metadata.language || normalizeLanguage(article.lang),
+    imageUrl: metadata.imageUrl
+  });
+}
+
+/**
+ * Finds the first article-like object in the page's JSON-LD blocks
+ * @param {Document} document - The parsed HTML document
+ * @returns {Object|null} The JSON-LD object
+ */
+function findJsonLdArticle(document) {
+  const candidates = [];
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : [data];
+      for (const item of items) {
+        candidates.push(item, ...(Array.isArray(item?.['@graph']) ? item['@graph'] : []));
+      }
+    } catch (error) {
+      // Malformed JSON-LD is common; ignore it
+    }
+  }
+
+  const typesOf = (item) => [].concat(item?.['@type'] || []);
+  return candidates.find(item => typesOf(item).some(type => ARTICLE_TYPES.includes(type) && type !== 'WebPage')) ||
+    candidates.find(item => typesOf(item).includes('WebPage')) ||
+    null;
+}
+
+/**
+ * Gets the name of a JSON-LD Person/Organization (or a list of them)
+ * @param {Object|Array|string} value - The JSON-LD value
+ * @returns {string} The name(s), comma-separated
+ */
+function getJsonLdName(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(getJsonLdName).filter(Boolean).join(', ');
+  return (value.name || '').trim();
+}
+
+/**
+ * Gets the URL of a JSON-LD image (string, ImageObject or list)
+ * @param {Object|Array|string} value - The JSON-LD value
+ * @returns {string} The image URL
+ */
+function getJsonLdImage(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return getJsonLdImage(value[0]);
+  return value.url || value.contentUrl || '';
+}
+
+/**
+ * Gets the content of the first matching <meta> tag by name or property
+ * @param {Document} document - The parsed HTML document
+ * @param {Array<string>} names - Meta names/properties to try, in order
+ * @returns {string} The content, or an empty string
+ */
+function getMetaContent(document, names) {
+  const metaTags = [...document.querySelectorAll('meta[content]')];
+
+  for (const name of names) {
+    const tag = metaTags.find(meta =>
+      (meta.getAttribute('name') || meta.getAttribute('property') || meta.getAttribute('itemprop') || meta.getAttribute('http-equiv') || '')
+        .toLowerCase() === name
+    );
+    const content = tag?.getAttribute('content')?.trim();
+    if (content) return content;
+  }
+
+  return '';
+}
+
+/**
+ * Normalizes a date string to ISO 8601
+ * @param {string} value - The date string
+ * @returns {string} The ISO date, or an empty string if unparseable
+ */
+function normalizeDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Normalizes a language/locale code ("en_GB" -> "en-GB")
+ * @param {string} value - The language code
+ * @returns {string} The normalized code
+ */
+function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return '';
+  return value.trim().replace('_', '-');
+}
+
+/**
+ * Removes "By" prefixes and trailing dates from Readability bylines
+ * @param {string} byline - The byline
+ * @returns {string} The author name(s)
+ */
+function cleanByline(byline) {
+  if (!byline) return '';
+  return byline.replace(/^\s*by\s+/i, '').replace(/\s*[|,•·]\s*\d.*$/, '').trim();
+}
+
+/**
+ * Resolves a possibly relative URL against the page URL
+ * @param {string} value - The URL
+ * @param {string} baseUrl - The page URL
+ * @returns {string} The absolute URL, or an empty string
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value) return '';
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Drops empty fields from a metadata object
+ * @param {Object} metadata - The metadata
+ * @returns {Object} Metadata with only non-empty fields
+ */
+function compact(metadata) {
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value));
+}
@@ -1,8 +1,35 @@
-import axios from 'axios';
+import crypto from 'crypto';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
 import { convert } from 'html-to-text'; // Fallback
 import { config } from './config.js';
+import { safeFetch, decodeBody } from './safe-fetch.js';
+import { isPdfResponse, extractPdfContent } from './pdf-parser.js';
+import { extractArticleMetadata, mergeReadabilityMetadata } from './article-metadata.js';
+import { findPagination, removeRepeatedContent } from './pagination.js';
+import { extractBlocks, blocksToText } from './article-structure.js';
+import { normalizeUrl, stripTrackingParams, getCanonicalUrl } from './url-normalizer.js';
+import { cleanupText, cleanupBlocks, describeCleanupReport } from './text-cleanup.js';
+import {
+  assessContentQuality,
+  createQualityError,
+  isBotChallenge,
+  findPaywallMarkers,
+  getLinkDensity
+} from './content-quality.js';
+import {
+  loadSiteRules,
+  findSiteRule,
+  removeUnwantedElements,
+  selectRuleContent,
+  stripRulePatterns
+} from './site-rules.js';
+
+// Media types accepted when fetching an article (PDFs are often served as octet-stream)
+const ARTICLE_CONTENT_TYPES = [
+  'text/html', 'application/xhtml+xml', 'text/plain', 'application/xml', 'text/xml',
+  'application/pdf', 'application/x-pdf', 'application/octet-stream'
+];
 
 // HTML-to-text conversion options (Fallback)
 const htmlConversionOptions = {
@@ -11,101 +38,345 @@ const htmlConversionOptions = {
     { selector: 'a', options: { ignoreHref: true } },
     { selector: 'img', format: 'skip' },
     { selector: 'script', format: 'skip' },
-    { selector: 'style', format: 'skip' }
+    { selector: 'style', format: 'skip' },
+    // Keep heading case as written (html-to-text upper-cases headings by default)
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(selector => ({ selector, options: { uppercase: false } }))
   ]
 };
 
 /**
- * Extracts the content from an article URL using Mozilla Readability
+ * Extracts the content from an article URL
+ * HTML pages go through Mozilla Readability (or a site rule), PDF documents through the PDF text layer.
  * @param {string} url - The article URL
- * @returns {Promise<Object>} The extracted article data (title, content, etc.)
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.useSiteRules=true] - Apply the per-domain extraction rule, if any
+ * @param {boolean} [options.followPages=true] - Fetch the remaining pages of multi-page articles
+ * @param {boolean} [options.truncate=true] - Truncate text over config.content.maxTextLength
+ * @param {boolean} [options.checkQuality=true] - Throw if the extraction fails the content-quality gate
+ * @returns {Promise<Object>} The extracted article data (title, content, quality assessment, cleanup report, etc.)
  */
-export async function extractArticleContent(url) {
+export async function extractArticleContent(url, options = {}) {
+  const { useSiteRules = true, followPages = true, truncate = true, checkQuality = true } = options;
   try {
     console.log(`Fetching article content from: ${url}`);
-    const response = await axios.get(url, {
+    const { data, contentType, url: finalUrl } = await fetchPage(url);
+
+    const siteRule = useSiteRules ? findSiteRule(finalUrl, await loadSiteRules()) : null;
+    if (siteRule) console.log(`Using site rule for ${siteRule.hostname}`);
+
+    let extracted;
+    let html = '';
+    if (isPdfResponse(contentType, data)) {
+      extracted = await extractPdfContent(data, finalUrl);
+    } else {
+      html = decodeBody(data, contentType);
+      extracted = extractHtmlContent(html, finalUrl, siteRule);
+      if (followPages) {
+        extracted = { ...extracted, ...await appendFollowingPages(extracted, finalUrl, siteRule) };
+      }
+    }
+
+    const { text: content, cleanup } = cleanArticleText(extracted.text, { truncate });
+
+    // Quality gate: don't pay for TTS on bot checks, paywalls, teasers or link lists
+    const quality = assessContentQuality({
+      text: content,
+      html,
+      paywall: extracted.paywall,
+      linkDensity: extracted.linkDensity,
+      language: extracted.metadata?.language
+    });
+    if (!quality.ok) {
+      console.warn(`Content quality check failed for ${url}: ${quality.code} (${quality.wordCount} words)`);
+      if (checkQuality) throw createQualityError(quality);
+    }
+
+    return {
+      title: extracted.title,
+      content,
+      blocks: cleanupBlocks(extracted.blocks || []),
+      description: extracted.description,
+      link: extracted.canonicalUrl || stripTrackingParams(finalUrl),
+      metadata: extracted.metadata,
+      quality,
+      cleanup
+    };
+  } catch (error) {
+    console.error(`Error extracting article content from ${url}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches a page (HTML or PDF) as raw bytes
+ * @param {string} url - The page URL
+ * @returns {Promise<Object>} The response body (Buffer), content type and final URL after redirects
+ */
+async function fetchPage(url) {
+  try {
+    return await safeFetch(url, {
       headers: { 
         'User-Agent': config.content.userAgent,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,application/pdf;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
         'Accept-Language': 'en-US,en;q=0.9',
         'Cache-Control': 'max-age=0',
         'Upgrade-Insecure-Requests': '1',
         'Referer': 'https://www.google.com/'
       },
-      timeout: 15000 // 15 second timeout
+      allowedContentTypes: ARTICLE_CONTENT_TYPES
     });
-    
-    let text = '';
-    let title = '';
-    let description = '';
+  } catch (error) {
+    // Bot protection usually answers 403/429/503 with a challenge page
+    const body = error.response?.data ? decodeBody(Buffer.from(error.response.data), error.response.headers['content-type']) : '';
+    if (isBotChallenge(body)) {
+      throw createQualityError(assessContentQuality({ html: body }));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Follows the pagination of a multi-page article and joins the pages into one text
+ * A single-page (print/AMP) version is preferred when it has more text than the first page;
+ * otherwise "next" links are followed up to config.content.maxPages pages.
+ * @param {Object} firstPage - The extracted first page (from extractHtmlContent)
+ * @param {string} url - The article URL
+ * @param {Object} [siteRule] - Per-domain extraction rule
+ * @returns {Promise<Object>} The text and blocks of all pages
+ */
+async function appendFollowingPages(firstPage, url, siteRule) {
+  const { nextPageUrl, singlePageUrl } = firstPage.pagination;
+  if (!nextPageUrl) return { text: firstPage.text, blocks: firstPage.blocks };
 
+  if (singlePageUrl) {
     try {
-      // Use JSDOM and Readability for high-quality extraction
-      const dom = new JSDOM(response.data, { url });
-      const reader = new Readability(dom.window.document);
-      const article = reader.parse();
-
-      if (article) {
-        text = article.textContent;
-        title = article.title;
-        description = article.excerpt || '';
-      } else {
-        console.warn(`Readability failed to parse ${url}, falling back to html-to-text`);
-        text = convert(response.data, htmlConversionOptions);
-        // Try to extract title from title tag if Readability failed
-        const titleMatch = response.data.match(/<title>(.*?)<\/title>/);
-        title = titleMatch ? titleMatch[1] : 'Untitled Article';
+      console.log(`Article is paginated, trying single-page version: ${singlePageUrl}`);
+      const { data, contentType } = await fetchPage(singlePageUrl);
+      const singlePage = extractHtmlContent(decodeBody(data, contentType), singlePageUrl, siteRule);
+      if (singlePage.text.trim().length > firstPage.text.trim().length) {
+        return { text: singlePage.text, blocks: singlePage.blocks };
       }
-    } catch (parseError) {
-      console.error(`Error parsing with Readability: ${parseError.message}, falling back to html-to-text`);
-      text = convert(response.data, htmlConversionOptions);
-       // Try to extract title from title tag if Readability failed
-       const titleMatch = response.data.match(/<title>(.*?)<\/title>/);
-       title = titleMatch ? titleMatch[1] : 'Untitled Article';
+      console.log('Single-page version is no longer than the first page, following page links instead');
+    } catch (error) {
+      console.warn(`Could not fetch single-page version ${singlePageUrl}: ${error.message}`);
+    }
+  }
+
+  const pageTexts = [firstPage.text];
+  const blocks = [...firstPage.blocks];
+  const visited = new Set([url]);
+  let pageUrl = nextPageUrl;
+
+  while (pageUrl && !visited.has(pageUrl)) {
+    if (pageTexts.length >= config.content.maxPages) {
+      console.warn(`Stopped following pages after ${config.content.maxPages} pages (next page: ${pageUrl})`);
+      break;
+    }
+    visited.add(pageUrl);
+
+    let page;
+    try {
+      console.log(`Fetching page ${pageTexts.length + 1}: ${pageUrl}`);
+      const { data, contentType } = await fetchPage(pageUrl);
+      if (isPdfResponse(contentType, data)) break;
+      page = extractHtmlContent(decodeBody(data, contentType), pageUrl, siteRule);
+    } catch (error) {
+      console.warn(`Could not fetch page ${pageUrl}: ${error.message}`);
+      break;
+    }
+
+    const text = removeRepeatedContent(page.text, pageTexts);
+    if (!text) break;
+
+    pageTexts.push(text);
+    blocks.push(...page.blocks);
+    pageUrl = page.pagination.nextPageUrl;
+  }
+
+  if (pageTexts.length > 1) {
+    console.log(`Joined ${pageTexts.length} pages`);
+  }
+  return { text: pageTexts.join('\n\n'), blocks };
+}
+
+/**
+ * Extracts the readable text and metadata from an HTML page
+ * @param {string} html - The page HTML
+ * @param {string} url - The page URL (used to resolve relative links)
+ * @param {Object} [siteRule] - Per-domain extraction rule, applied before/instead of Readability
+ * @returns {Object} The extracted data (title, text, blocks, description, metadata, pagination, canonicalUrl),
+ *   plus the paywall and link density signals for the quality gate
+ */
+function extractHtmlContent(html, url, siteRule = null) {
+  let text = '';
+  let title = '';
+  let description = '';
+  let metadata = {};
+  let pagination = { nextPageUrl: null, singlePageUrl: null };
+  let canonicalUrl = null;
+  let paywall = null;
+  let linkDensity = 0;
+  let blocks = [];
+
+  try {
+    // Use JSDOM and Readability for high-quality extraction
+    const dom = new JSDOM(html, { url });
+    const document = dom.window.document;
+    
+    // Read metadata first: Readability modifies the document while parsing
+    metadata = extractArticleMetadata(document, url);
+    if (url) {
+      pagination = findPagination(document, url);
+      canonicalUrl = getCanonicalUrl(document, url);
     }
+    paywall = findPaywallMarkers(document);
     
-    // Feature 1: Collapse long dash sequences (don't truncate the whole text)
-    // If there are 4 or more consecutive dashes, replace them with a space
-    text = text.replace(/-{4,}/g, ' ');
-
-    // Clean up whitespace
-    text = text.trim().replace(/\n{3,}/g, '\n\n');
-
-    // Feature 2: Strict Length Limit (Cost Safety)
-    if (text.length > config.content.maxTextLength) {
-      console.warn(`Article content (${text.length} chars) exceeds limit of ${config.content.maxTextLength}. Truncating.`);
-      text = text.substring(0, config.content.maxTextLength) + 
-        '. [Article truncated to save audio generation costs]';
+    // Site rule: drop unwanted elements, then take the body from the rule's selector if it matches
+    let ruleContent = { html: '', title: '' };
+    if (siteRule) {
+      removeUnwantedElements(document, siteRule);
+      ruleContent = selectRuleContent(document, siteRule);
     }
     
-    return {
-      title,
-      content: text,
-      description,
-      link: url
-    };
-  } catch (error) {
-    console.error(`Error extracting article content from ${url}:`, error.message);
-    throw error;
+    const article = ruleContent.html ? null : new Readability(document).parse();
+
+    if (ruleContent.html) {
+      const content = JSDOM.fragment(ruleContent.html);
+      blocks = extractBlocks(content);
+      text = blocks.length ? blocksToText(blocks) : convert(ruleContent.html, htmlConversionOptions);
+      title = ruleContent.title || document.title || 'Untitled Article';
+      linkDensity = getLinkDensity(content);
+    } else if (article) {
+      // Keep the headings, list items and paragraph breaks of the body for TTS pacing
+      const content = JSDOM.fragment(article.content);
+      blocks = extractBlocks(content);
+      text = blocks.length ? blocksToText(blocks) : article.textContent;
+      linkDensity = getLinkDensity(content);
+      title = ruleContent.title || article.title;
+      description = article.excerpt || '';
+      metadata = mergeReadabilityMetadata(metadata, article);
+    } else {
+      console.warn(`Readability failed to parse ${url}, falling back to html-to-text`);
+      text = convert(html, htmlConversionOptions);
+      linkDensity = getLinkDensity(JSDOM.fragment(html));
+      // Try to extract title from title tag if Readability failed
+      const titleMatch = html.match(/<title>(.*?)<\/title>/);
+      title = titleMatch ? titleMatch[1] : 'Untitled Article';
+    }
+  } catch (parseError) {
+    console.error(`Error parsing with Readability: ${parseError.message}, falling back to html-to-text`);
+    text = convert(html, htmlConversionOptions);
+    // Try to extract title from title tag if Readability failed
+    const titleMatch = html.match(/<title>(.*?)<\/title>/);
+    title = titleMatch ? titleMatch[1] : 'Untitled Article';
+  }
+
+  if (siteRule) text = stripRulePatterns(text, siteRule);
+
+  return { title, text, blocks, description, metadata, pagination, canonicalUrl, paywall, linkDensity };
+}
+
+/**
+ * Cleans extracted text and enforces the length limit
+ * @param {string} text - The extracted text
+ * @param {Object} [options] - Cleaning options
+ * @param {boolean} [options.truncate=true] - Truncate text over the length limit (off when splitting into parts)
+ * @returns {Object} { text, cleanup (what the boilerplate removal took out, see text-cleanup.js) }
+ */
+function cleanArticleText(text, options = {}) {
+  const { truncate = true } = options;
+
+  // Feature 1: Remove boilerplate (ads, newsletter prompts, credits, URLs...) and collapse blank lines
+  const { text: cleanedText, report: cleanup } = cleanupText(text);
+  text = cleanedText;
+  if (cleanup.removedChars > 0) console.log(`Text cleanup: ${describeCleanupReport(cleanup)}`);
+
+  // Feature 2: Strict Length Limit (Cost Safety)
+  if (truncate && text.length > config.content.maxTextLength) {
+    console.warn(`Article content (${text.length} chars) exceeds limit of ${config.content.maxTextLength}. Truncating.`);
+    text = text.substring(0, config.content.maxTextLength) + 
+      '. [Article truncated to save audio generation costs]';
+  }
+
+  return { text, cleanup };
+}
+
+/**
+ * Builds the stable cache key for pasted content
+ * Pasted content has no URL, so the key is derived from the content itself.
+ * @param {Object} source - The pasted content ({ text } or { html })
+ * @returns {string} The cache key
+ */
+export function getPastedContentKey(source) {
+  const hash = crypto.createHash('sha256').update(source.html || source.text || '').digest('hex');
+  return `pasted:${hash.substring(0, 16)}`;
+}
+
+/**
+ * Processes pasted plain text or raw HTML (newsletters, documents, paywalled pieces)
+ * HTML goes through the same Readability path as fetched pages; plain text is used as-is.
+ * @param {Object} source - The pasted content
+ * @param {string} [source.text] - Plain text content
+ * @param {string} [source.html] - Raw HTML content
+ * @param {string} [source.title] - Episode title (overrides the extracted title)
+ * @param {string} [source.author] - Original author
+ * @param {string} [source.link] - Link to the original, if there is one
+ * @param {Object} [options] - Processing options
+ * @param {boolean} [options.truncate=true] - Truncate text over config.content.maxTextLength
+ * @returns {Object} Processed item with full content
+ */
+export function processPastedContent(source, options = {}) {
+  const { truncate = true } = options;
+  const { text, html, title, author, link = '' } = source;
+  if (!(text && text.trim()) && !(html && html.trim())) {
+    throw new Error('No text or HTML content provided');
   }
+
+  const extracted = html
+    ? extractHtmlContent(html, link || undefined)
+    : { title: '', text, blocks: [], description: '', metadata: {} };
+
+  const { text: content, cleanup } = cleanArticleText(extracted.text, { truncate });
+  const firstParagraph = content.split(/\n\s*\n/)[0];
+
+  return {
+    title: title || extracted.title || firstParagraph.substring(0, 80),
+    link,
+    cacheKey: getPastedContentKey(source),
+    sourceType: 'pasted',
+    ...extracted.metadata,
+    author: author || extracted.metadata.author || '',
+    description: extracted.description ||
+      (firstParagraph.length > 200 ? firstParagraph.substring(0, 200) + '...' : firstParagraph),
+    content,
+    fullContent: content, // For compatibility
+    blocks: cleanupBlocks(extracted.blocks || []),
+    cleanup,
+    pubDate: new Date().toISOString()
+  };
 }
 
 /**
  * Processes a single article URL
  * @param {string} url - The article URL
+ * @param {Object} [options] - Extraction options (see extractArticleContent)
  * @returns {Promise<Object>} Processed item with full content
  */
-export async function processArticle(url) {
+export async function processArticle(url, options = {}) {
   try {
-    const articleData = await extractArticleContent(url);
+    const articleData = await extractArticleContent(url, options);
     
     return {
       title: articleData.title,
-      link: articleData.link,
+      link: articleData.link, // The canonical URL when the page declares one
+      cacheKey: normalizeUrl(articleData.link),
       description: articleData.description,
       content: articleData.content, // Original content
       fullContent: articleData.content, // For compatibility
-      pubDate: new Date().toISOString()
+      blocks: articleData.blocks, // Headings, list items etc. for TTS pacing
+      cleanup: articleData.cleanup, // What the boilerplate removal took out
+      pubDate: new Date().toISOString(),
+      ...articleData.metadata // author, publishedDate, siteName, language, imageUrl
     };
   } catch (error) {
     console.error(`Error processing article "${url}":`, error.message);
@@ -0,0 +1,144 @@
+/**
+ * Multi-part episodes for articles longer than the per-episode limit
+ *
+ * Over-length text is split at section or paragraph boundaries into parts of at most
+ * config.content.maxTextLength characters. The total is capped by a per-article budget
+ * (config.content.maxArticleLength); parts beyond the budget are reported, not generated.
+ */
+import { config } from './config.js';
+
+/**
+ * Plans the parts for an article
+ * @param {string} text - The full (untruncated) article text
+ * @param {Object} [limits] - Length limits
+ * @param {number} [limits.maxPartLength] - Max characters per part
+ * @param {number} [limits.maxArticleLength] - Max characters across all parts (the budget)
+ * @returns {Object} The parts to generate, plus the total, budget and skipped lengths
+ */
+export function planArticleParts(text, limits = {}) {
+  const {
+    maxPartLength = config.content.maxTextLength,
+    maxArticleLength = config.content.maxArticleLength
+  } = limits;
+
+  const allParts = splitIntoParts(text, maxPartLength);
+  const parts = [];
+  let includedLength = 0;
+
+  for (const part of allParts) {
+    if (includedLength + part.length > maxArticleLength && parts.length > 0) break;
+    parts.push(part);
+    includedLength += part.length;
+  }
+
+  return {
+    parts,
+    totalLength: text.length,
+    budgetLength: maxArticleLength,
+    includedLength,
+    skippedParts: allParts.length - parts.length,
+    skippedLength: text.length - includedLength
+  };
+}
+
+/**
+ * Describes a plan for status messages, so the cost is reported before any audio is generated
+ * @param {Object} plan - The plan from planArticleParts()
+ * @returns {string} The description
+ */
+export function describePartPlan(plan) {
+  const format = (value) => value.toLocaleString('en-GB');
+  let message = `Article is ${format(plan.totalLength)} characters: generating ${plan.parts.length} parts ` +
+    `(${format(plan.includedLength)} of the ${format(plan.budgetLength)} character budget)`;
+
+  if (plan.skippedParts > 0) {
+    const skipped = plan.skippedParts === 1 ? 'The last part' : `The last ${plan.skippedParts} parts`;
+    message += `. ${skipped} (${format(plan.skippedLength)} characters) exceed the budget and will not be generated`;
+  }
+
+  return message;
+}
+
+/**
+ * Splits text into parts of at most maxPartLength characters
+ * Parts are balanced in length and prefer to start at a section heading.
+ * @param {string} text - The text to split
+ * @param {number} maxPartLength - Max characters per part
+ * @returns {Array<string>} The parts
+ */
+export function splitIntoParts(text, maxPartLength) {
+  if (text.length <= maxPartLength) return [text];
+
+  const targetLength = text.length / Math.ceil(text.length / maxPartLength);
+  const parts = [];
+  let current = '';
+
+  for (const unit of splitIntoUnits(text, maxPartLength)) {
+    const combinedLength = current.length + unit.length + 2;
+
+    const startNewPart = current && (
+      combinedLength > maxPartLength ||
+      (isHeading(unit) && current.length >= targetLength * 0.75) ||
+      current.length >= targetLength
+    );
+
+    if (startNewPart) {
+      parts.push(current);
+      current = unit;
+    } else {
+      current += (current ? '\n\n' : '') + unit;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Splits text into paragraphs, breaking paragraphs longer than maxLength into sentences
+ * (and sentences longer than maxLength at word boundaries)
+ * @param {string} text - The text to split
+ * @param {number} maxLength - Max characters per unit
+ * @returns {Array<string>} The units
+ */
+function splitIntoUnits(text, maxLength) {
+  const units = [];
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.length <= maxLength) {
+      units.push(trimmed);
+      continue;
+    }
+
+    let current = '';
+    for (const sentence of trimmed.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [trimmed]) {
+      if (current.length + sentence.length <= maxLength) {
+        current += sentence;
+        continue;
+      }
+      if (current) units.push(current.trim());
+
+      current = sentence;
+      while (current.length > maxLength) {
+        const splitIndex = current.lastIndexOf(' ', maxLength) > 0 ? current.lastIndexOf(' ', maxLength) : maxLength;
+        units.push(current.substring(0, splitIndex).trim());
+        current = current.substring(splitIndex);
+      }
+    }
+    if (current.trim()) units.push(current.trim());
+  }
+
+  return units;
+}
+
+/**
+ * Checks if a paragraph looks like a section heading (short, single line, no closing punctuation)
+ * @param {string} paragraph - The paragraph
+ * @returns {boolean} True if it looks like a heading
+ */
+function isHeading(paragraph) {
+  return paragraph.length < 120 && !paragraph.includes('\n') && !/[.!?:;,]$/.test(paragraph);
+}
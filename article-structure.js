@@ -0,0 +1,245 @@
+/**
+ * Article structure: the headings, paragraphs, list items and block quotes of the article body
+ *
+ * Blocks are kept alongside the plain text (one block per paragraph of text) so that
+ * text-to-speech can pace headings, lists and section breaks (see ssml-builder.js).
+ *
+ * Tables, figures and images become "figure" blocks read as prose: a data table is read row by
+ * row ("Table: emissions by sector. Columns: Sector, Share. Row 1: Energy, 73%."), or announced
+ * as skipped when it has more than config.content.maxTableCells cells; a figure is read as its
+ * caption, and an image as its alt text ("Pictured: ...") when that describes it.
+ */
+import { config } from './config.js';
+
+// Elements whose text is one block
+const BLOCK_TYPES = {
+  h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+  p: 'paragraph', pre: 'paragraph', address: 'paragraph', dt: 'paragraph', dd: 'paragraph',
+  li: 'listItem',
+  table: 'paragraph', figcaption: 'paragraph'
+};
+
+// Containers that may hold blocks or loose text
+const CONTAINER_TAGS = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'ul', 'ol', 'dl', 'blockquote', 'body', 'center', 'details'];
+
+// Elements with nothing to read aloud
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'video', 'audio', 'iframe', 'button', 'form', 'input', 'select', 'textarea', 'nav'];
+
+// Figure content that can be described in words (a chart or photo); figures of only video or
+// embeds are skipped, and other figures (a pull quote and its attribution) are read as they are
+const DESCRIBED_MEDIA_SELECTOR = 'img, picture, svg, canvas, table';
+const EMBEDDED_MEDIA_SELECTOR = 'video, audio, iframe, object, embed';
+
+// Alt text that says nothing about the image
+const GENERIC_ALT_PATTERN = /^(?:an? )?(?:image|photo|photograph|picture|graphic|logo|icon|illustration|thumbnail|banner|placeholder|figure|chart)(?:\s+\d+)?$/i;
+const FILENAME_ALT_PATTERN = /\.(?:jpe?g|png|gif|webp|svg|avif)$/i;
+
+/**
+ * Extracts the blocks of an article body
+ * @param {Node} root - The parsed article body (element or document fragment)
+ * @returns {Array<Object>} Blocks ({ type: 'heading'|'paragraph'|'listItem'|'quote'|'figure', text, level? })
+ */
+export function extractBlocks(root) {
+  const blocks = [];
+  collectBlocks(root, blocks, null);
+  return blocks;
+}
+
+/**
+ * Joins blocks into article text, one paragraph per block
+ * @param {Array<Object>} blocks - The blocks
+ * @returns {string} The text
+ */
+export function blocksToText(blocks) {
+  return blocks.map(block => block.text).join('\n\n');
+}
+
+/**
+ * Normalizes a paragraph for matching text back to its block
+ * @param {string} text - The paragraph text
+ * @returns {string} The normalized text
+ */
+export function normalizeBlockText(text) {
+  return text.replace(/-{4,}/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Walks the DOM collecting blocks
+ * @param {Node} node - The current node
+ * @param {Array<Object>} blocks - Blocks collected so far
+ * @param {string|null} containerType - 'quote' inside a block quote, 'listItem' inside a list item
+ *   (paragraphs inside take this type)
+ */
+function collectBlocks(node, blocks, containerType) {
+  let looseText = '';
+  const flushLooseText = () => {
+    const text = normalizeBlockText(looseText);
+    if (text) blocks.push({ type: containerType || 'paragraph', text });
+    looseText = '';
+  };
+
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) { // Text node
+      looseText += child.textContent;
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+
+    const tag = child.localName;
+    if (SKIPPED_TAGS.includes(tag) || child.getAttribute('aria-hidden') === 'true' || child.hidden) continue;
+
+    const figureText = tag === 'figure' ? describeFigure(child)
+      : tag === 'table' && isDataTable(child) ? describeTable(child)
+      : tag === 'img' || tag === 'picture' ? describeImage(child)
+      : null;
+    if (figureText !== null) {
+      flushLooseText();
+      if (figureText) blocks.push({ type: 'figure', text: figureText });
+      continue;
+    }
+
+    if (BLOCK_TYPES[tag] && !hasBlockChildren(child)) {
+      flushLooseText();
+      const text = normalizeBlockText(tag === 'table' ? getTableText(child) : child.textContent);
+      if (!text) continue;
+
+      const type = containerType && BLOCK_TYPES[tag] === 'paragraph' ? containerType : BLOCK_TYPES[tag];
+      blocks.push(type === 'heading' ? { type, text, level: parseInt(tag.substring(1), 10) } : { type, text });
+    } else if (BLOCK_TYPES[tag] || CONTAINER_TAGS.includes(tag) || tag === 'figure') {
+      flushLooseText();
+      const childContainerType = tag === 'blockquote' ? 'quote' : tag === 'li' ? 'listItem' : containerType;
+      collectBlocks(child, blocks, childContainerType);
+    } else if (tag === 'br') {
+      looseText += ' ';
+    } else {
+      // Inline element (a, em, span...)
+      looseText += child.textContent;
+    }
+  }
+
+  flushLooseText();
+}
+
+/**
+ * Reads a table row by row, separating cells so they aren't run together
+ * @param {Element} table - The table element
+ * @returns {string} The table text
+ */
+function getTableText(table) {
+  return [...table.querySelectorAll('tr')]
+    .map(row => [...row.children].map(cell => normalizeBlockText(cell.textContent)).filter(Boolean).join(', '))
+    .filter(Boolean)
+    .join('. ');
+}
+
+/**
+ * Describes a figure: a table with its caption, or a chart or photo by its caption (or alt text)
+ * @param {Element} figure - The figure element
+ * @returns {string|null} The description (empty if there is nothing to read), or null for a
+ *   figure that is read as ordinary content
+ */
+function describeFigure(figure) {
+  if (!figure.querySelector(DESCRIBED_MEDIA_SELECTOR)) {
+    return figure.querySelector(EMBEDDED_MEDIA_SELECTOR) ? '' : null;
+  }
+
+  const caption = normalizeBlockText(figure.querySelector('figcaption')?.textContent || '');
+  const table = figure.querySelector('table');
+  if (table) return isDataTable(table) ? describeTable(table, caption) : null;
+  if (caption) return `Figure: ${withFullStop(caption)}`;
+
+  const image = figure.querySelector('img');
+  return image ? describeImage(image) : '';
+}
+
+/**
+ * Describes an image by its alt text, when that says what the image shows
+ * @param {Element} element - The img element (or a picture element holding one)
+ * @returns {string} The description, or an empty string
+ */
+function describeImage(element) {
+  if (!config.content.describeImages) return '';
+
+  const image = element.localName === 'img' ? element : element.querySelector('img');
+  const alt = normalizeBlockText(image?.getAttribute('alt') || '');
+  if (alt.split(' ').length < 2 || GENERIC_ALT_PATTERN.test(alt) || FILENAME_ALT_PATTERN.test(alt)) return '';
+  return `Pictured: ${withFullStop(alt)}`;
+}
+
+/**
+ * Checks if a table holds data (rather than laying out the page)
+ * @param {Element} table - The table element
+ * @returns {boolean} True if it should be read as a table
+ */
+function isDataTable(table) {
+  if (table.getAttribute('role') === 'presentation' || table.querySelector('table')) return false;
+  const rows = getTableRows(table);
+  return rows.length >= 2 && Math.max(...rows.map(row => row.cells.length)) >= 2;
+}
+
+/**
+ * Describes a data table row by row, or says it was skipped if it is too large to follow by ear
+ * @param {Element} table - The table element
+ * @param {string} [caption] - The caption of the figure holding the table
+ * @returns {string} The description
+ */
+function describeTable(table, caption = '') {
+  const rows = getTableRows(table);
+  const tableCaption = caption || normalizeBlockText(table.querySelector(':scope > caption')?.textContent || '');
+  const title = tableCaption ? `Table: ${tableCaption.replace(/[.:;,]+$/, '')}` : 'Table';
+
+  // Leading header rows name the columns (the last one, when there are several)
+  const headerCount = rows.findIndex(row => !row.isHeader);
+  const headerRows = headerCount === -1 ? [] : rows.slice(0, headerCount);
+  const bodyRows = headerCount === -1 ? rows : rows.slice(headerCount);
+  const columnCount = Math.max(...rows.map(row => row.cells.length));
+
+  if (rows.length * columnCount > config.content.maxTableCells) {
+    return `${title}. This table, with ${bodyRows.length} rows and ${columnCount} columns, is too large to read out and was skipped.`;
+  }
+
+  const sentences = [`${title}.`];
+  const columns = headerRows.length ? headerRows[headerRows.length - 1].cells.filter(Boolean) : [];
+  if (columns.length) sentences.push(`Columns: ${columns.join(', ')}.`);
+  bodyRows.forEach((row, i) => {
+    sentences.push(`Row ${i + 1}: ${row.cells.map(cell => cell || 'blank').join(', ')}.`);
+  });
+  return sentences.join(' ');
+}
+
+/**
+ * Reads the rows of a table (not of tables nested in it)
+ * @param {Element} table - The table element
+ * @returns {Array<Object>} The rows with text ({ cells: cell texts, isHeader })
+ */
+function getTableRows(table) {
+  return [...table.querySelectorAll('tr')]
+    .filter(row => row.closest('table') === table)
+    .map(row => {
+      const cellElements = [...row.children].filter(cell => cell.localName === 'td' || cell.localName === 'th');
+      return {
+        cells: cellElements.map(cell => normalizeBlockText(cell.textContent).replace(/[.;:]+$/, '')),
+        isHeader: row.parentElement.localName === 'thead' || (cellElements.length > 0 && cellElements.every(cell => cell.localName === 'th'))
+      };
+    })
+    .filter(row => row.cells.some(Boolean));
+}
+
+/**
+ * Ends text with a full stop, unless it already ends a sentence
+ * @param {string} text - The text
+ * @returns {string} The text
+ */
+function withFullStop(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Checks if an element contains block-level elements (such as a list item holding paragraphs)
+ * @param {Element} element - The element
+ * @returns {boolean} True if it has block children
+ */
+function hasBlockChildren(element) {
+  if (element.localName === 'table' || element.localName === 'pre') return false;
+  return [...element.children].some(child => BLOCK_TYPES[child.localName] || CONTAINER_TAGS.includes(child.localName));
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * CLI tool for building a digest episode from episodes already made (see digest-builder.js)
+ *
+ * Usage:
+ *   node build-digest.js [options]
+ *
+ * Options:
+ *   --days N          Episodes made in the last N days (default: DIGEST_DAYS, 7)
+ *   --since DATE      Episodes made on or after this date (YYYY-MM-DD or ISO date-time)
+ *   --until DATE      Episodes made on or before this date (default: now)
+ *   --tag TAG         Only episodes with this tag
+ *   --title TITLE     Episode title (default: "Digest: <dates>")
+ *   --summaries       Use articles' summary episodes where they have one
+ *   --voice NAME      Voice for the transitions
+ *   --dry-run         Show which articles would go in without building the digest
+ *   --help            Show this help
+ */
+
+import { buildDigest } from './digest-builder.js';
+import { buildEpisodeList } from './episode-generator.js';
+import { generatePodcastFeed } from './podcast-feed.js';
+import { createLandingPage } from './landing-page.js';
+import { ensureDirectoryExists, loadJsonFile, saveJsonFile } from './utils.js';
+import { trackUsage, getCurrentMonthStats } from './usage-tracker.js';
+import { config } from './config.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  days: undefined,
+  since: undefined,
+  until: undefined,
+  tag: undefined,
+  title: undefined,
+  useSummaries: false,
+  voice: undefined,
+  dryRun: false,
+  help: false
+};
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  if (arg === '--days' && i + 1 < args.length) {
+    options.days = Number(args[++i]);
+  } else if (arg === '--since' && i + 1 < args.length) {
+    options.since = args[++i];
+  } else if (arg === '--until' && i + 1 < args.length) {
+    options.until = args[++i];
+  } else if (arg === '--tag' && i + 1 < args.length) {
+    options.tag = args[++i];
+  } else if (arg === '--title' && i + 1 < args.length) {
+    options.title = args[++i];
+  } else if (arg === '--summaries') {
+    options.useSummaries = true;
+  } else if (arg === '--voice' && i + 1 < args.length) {
+    options.voice = args[++i];
+  } else if (arg === '--dry-run') {
+    options.dryRun = true;
+  } else if (arg === '--help') {
+    options.help = true;
+  }
+}
+
+// Show help
+if (options.help) {
+  console.log(`
+Digest Builder
+
+Usage:
+  node build-digest.js [options]
+
+Options:
+  --days N          Episodes made in the last N days (default: DIGEST_DAYS, 7)
+  --since DATE      Episodes made on or after this date (YYYY-MM-DD or ISO date-time)
+  --until DATE      Episodes made on or before this date (default: now)
+  --tag TAG         Only episodes with this tag
+  --title TITLE     Episode title (default: "Digest: <dates>")
+  --summaries       Use articles' summary episodes where they have one
+  --voice NAME      Voice for the transitions
+  --dry-run         Show which articles would go in without building the digest
+  --help            Show this help
+
+The episodes' audio is reused as it is: only the transitions between articles are synthesized.
+
+Examples:
+  # This week's episodes, as one
+  node build-digest.js --title "This week in sustainability"
+
+  # Check what a digest of episodes tagged "energy" in October would contain
+  node build-digest.js --tag energy --since 2026-10-01 --until 2026-10-31 --dry-run
+  `);
+  process.exit(0);
+}
+
+// Main function
+async function main() {
+  try {
+    await ensureDirectoryExists(config.output.audioDir);
+    const processedArticles = await loadJsonFile(config.content.cacheFile, {});
+
+    const result = await buildDigest(processedArticles, options);
+
+    console.log(`\n${result.dryRun ? 'Would build' : 'Built'}: ${result.title} (${result.key})`);
+    result.articles.forEach((article, i) => {
+      console.log(`${String(i + 1).padStart(3)}. ${article.title}${article.isSummary ? ' (summary)' : ''}`);
+      console.log(`     ${article.link || article.key}`);
+    });
+    console.log(`Transitions: ${result.charCount} characters`);
+
+    if (result.dryRun) {
+      console.log('\nThis was a dry run - no audio was generated.');
+      return;
+    }
+
+    await saveJsonFile(config.content.cacheFile, processedArticles);
+    await trackUsage(result.charCount, result.voice);
+    console.log(`Audio: ${result.episode.audioPath} (${result.episode.duration} seconds)`);
+
+    // Regenerate feed and landing page with the new episode
+    const allEpisodes = buildEpisodeList(processedArticles);
+    await generatePodcastFeed(allEpisodes, {
+      feedTitle: config.podcast.title,
+      feedDescription: config.podcast.description,
+      feedSiteUrl: config.podcast.siteUrl,
+      author: { name: config.podcast.author },
+      outputFileName: 'feed.xml',
+      sortOrder: 'desc'
+    });
+    if (config.cloud.useCloudStorage) {
+      await createLandingPage(allEpisodes, await getCurrentMonthStats());
+    }
+    console.log(`Feed regenerated with ${allEpisodes.length} episodes`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,74 @@
+/**
+ * Chapter markers from article headings
+ *
+ * The speech segments are grouped into sections, each starting at a heading. Every section
+ * is synthesized as its own chunks, so a section starts exactly where one of its chunks does,
+ * and its start time is the total duration of the chunks before it. The chapters go into the
+ * MP3 as ID3 CHAP/CTOC frames (see id3-tags.js) and into a Podcasting 2.0 chapters file
+ * referenced from the feed.
+ */
+
+// Podcasting 2.0 JSON chapters format version
+const CHAPTERS_VERSION = '1.2.0';
+
+// ID3 CTOC frames can list at most 255 chapters
+const MAX_CHAPTERS = 255;
+
+/**
+ * Groups speech segments into sections, a new one starting at each heading
+ * @param {Array<Object>} segments - The speech segments ({ type, text })
+ * @returns {Array<Object>} Sections ({ title, segments }); the title is null for text before the first heading
+ */
+export function splitIntoSections(segments) {
+  const sections = [];
+
+  for (const segment of segments) {
+    const startsSection = segment.type === 'heading' && sections.length < MAX_CHAPTERS;
+    if (startsSection || sections.length === 0) {
+      sections.push({ title: startsSection ? segment.text : null, segments: [] });
+    }
+    sections[sections.length - 1].segments.push(segment);
+  }
+
+  return sections;
+}
+
+/**
+ * Works out the chapters from where each section's first chunk starts in the audio
+ * @param {Array<Object>} sections - The sections from splitIntoSections()
+ * @param {Array<number>} chunkSections - The section index of each chunk, in audio order
+ * @param {Array<number>} chunkOffsets - The start time of each chunk, in seconds
+ * @param {number} duration - The total duration, in seconds
+ * @param {string} episodeTitle - Title for text before the first heading
+ * @returns {Array<Object>} Chapters ({ title, startTime, endTime } in seconds), or none if the article has no headings
+ */
+export function buildChapters(sections, chunkSections, chunkOffsets, duration, episodeTitle) {
+  if (!sections.some(section => section.title)) return [];
+
+  const chapters = [];
+  sections.forEach((section, index) => {
+    const firstChunk = chunkSections.indexOf(index);
+    if (firstChunk === -1) return;
+    chapters.push({ title: section.title || episodeTitle, startTime: chunkOffsets[firstChunk] });
+  });
+
+  return chapters.map((chapter, i) => ({
+    ...chapter,
+    endTime: i + 1 < chapters.length ? chapters[i + 1].startTime : duration
+  }));
+}
+
+/**
+ * Renders chapters as a Podcasting 2.0 chapters file
+ * @param {Array<Object>} chapters - The chapters from buildChapters()
+ * @returns {string} The JSON
+ */
+export function buildChaptersJson(chapters) {
+  return JSON.stringify({
+    version: CHAPTERS_VERSION,
+    chapters: chapters.map(chapter => ({
+      startTime: Math.round(chapter.startTime * 1000) / 1000,
+      title: chapter.title
+    }))
+  }, null, 2);
+}
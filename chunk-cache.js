@@ -0,0 +1,111 @@
+/**
+ * Content-addressed cache of synthesized TTS chunks
+ *
+ * Each chunk's audio is stored under a hash of everything that determines it (the provider,
+ * the text or SSML sent, the voice and the audio config), so if an episode fails partway
+ * through (a timeout at chunk 40 of 50), re-running it only pays for the chunks that weren't
+ * synthesized yet.
+ * Chunks live in config.tts.chunkCacheDir locally, or under tts-chunks/ in the bucket, and
+ * are removed once the episode's audio has been saved.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { mapWithConcurrency } from './utils.js';
+import {
+  saveToCloudStorage,
+  downloadFromCloudStorage,
+  deleteFromCloudStorage
+} from './cloud-storage.js';
+
+// Folder for cached chunks in the bucket
+const CLOUD_DESTINATION = 'tts-chunks';
+
+/**
+ * Computes the cache key for a TTS request
+ * @param {string} providerName - The TTS provider
+ * @param {string} input - The text or SSML sent to the API
+ * @param {boolean} isSsml - Whether the input is SSML
+ * @param {Object} voiceConfig - The voice configuration
+ * @param {Object} audioConfig - The audio configuration
+ * @returns {string} The key (a SHA-256 hex digest)
+ */
+export function getChunkCacheKey(providerName, input, isSsml, voiceConfig, audioConfig) {
+  const request = stableStringify({ provider: providerName, input, isSsml, voice: voiceConfig, audioConfig });
+  return crypto.createHash('sha256').update(request).digest('hex');
+}
+
+/**
+ * Loads a cached chunk
+ * @param {string} key - The cache key
+ * @returns {Promise<Buffer|null>} The audio, or null if not cached
+ */
+export async function loadCachedChunk(key) {
+  const fileName = `${key}.mp3`;
+
+  if (config.cloud.useCloudStorage) {
+    return downloadFromCloudStorage(fileName, CLOUD_DESTINATION);
+  }
+
+  try {
+    return await fs.readFile(path.join(config.tts.chunkCacheDir, fileName));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Saves a chunk to the cache (failures are logged, not thrown: the cache is only an optimization)
+ * @param {string} key - The cache key
+ * @param {Buffer} audio - The chunk's audio
+ */
+export async function saveCachedChunk(key, audio) {
+  const fileName = `${key}.mp3`;
+
+  try {
+    if (config.cloud.useCloudStorage) {
+      await saveToCloudStorage(fileName, audio, CLOUD_DESTINATION, 'audio/mpeg');
+    } else {
+      await fs.mkdir(config.tts.chunkCacheDir, { recursive: true });
+      await fs.writeFile(path.join(config.tts.chunkCacheDir, fileName), audio);
+    }
+  } catch (error) {
+    console.warn(`Could not cache TTS chunk ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Removes chunks from the cache, config.tts.concurrency at a time (each is a round trip to the bucket)
+ * @param {Array<string>} keys - The cache keys
+ */
+export async function removeCachedChunks(keys) {
+  await mapWithConcurrency([...new Set(keys)], config.tts.concurrency, async (key) => {
+    const fileName = `${key}.mp3`;
+
+    if (config.cloud.useCloudStorage) {
+      await deleteFromCloudStorage(fileName, CLOUD_DESTINATION);
+      return;
+    }
+
+    try {
+      await fs.unlink(path.join(config.tts.chunkCacheDir, fileName));
+    } catch (error) { /* Already gone */ }
+  });
+}
+
+/**
+ * JSON.stringify with object keys sorted, so equal configs always give the same key
+ * @param {any} value - The value
+ * @returns {string} The JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -151,6 +151,30 @@ export async function loadFromCloudStorage(filePath, defaultValue = {}) {
   }
 }
 
+/**
+ * Downloads a file from Google Cloud Storage
+ * @param {string} fileName - Name of the file
+ * @param {string} destination - Optional destination path in the bucket
+ * @returns {Promise<Buffer|null>} The file content, or null if it doesn't exist
+ */
+export async function downloadFromCloudStorage(fileName, destination) {
+  try {
+    const bucketName = config.cloud.bucketName;
+    const bucket = storage.bucket(bucketName);
+    const destinationPath = destination ? `${destination}/${fileName}` : fileName;
+    const file = bucket.file(destinationPath);
+    
+    const [exists] = await file.exists();
+    if (!exists) return null;
+    
+    const [content] = await file.download();
+    return content;
+  } catch (error) {
+    console.error(`Error downloading from Cloud Storage (${fileName}):`, error);
+    return null;
+  }
+}
+
 /**
  * Deletes a file from Google Cloud Storage
  * @param {string} fileName - Name of the file to delete
@@ -11,6 +11,17 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Determine if running in Google Cloud
 const isCloudEnvironment = process.env.K_SERVICE ? true : false;
 
+/**
+ * Reads a positive whole number from an environment variable
+ * @param {string|undefined} value - The variable's value
+ * @param {number} defaultValue - Value used when it is unset or not a positive whole number
+ * @returns {number} The number
+ */
+function parsePositiveInteger(value, defaultValue) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : defaultValue;
+}
+
 export const config = {
   // Running environment
   isCloudEnvironment: isCloudEnvironment,
@@ -22,13 +33,37 @@ export const config = {
     useCloudStorage: isCloudEnvironment || process.env.USE_CLOUD_STORAGE === 'true'
   },
   
-  // Google Cloud Text-to-Speech configuration
+  // Text-to-speech configuration
   tts: {
+    provider: process.env.TTS_PROVIDER || 'google', // 'google', 'local' (espeak-ng/piper) or 'stub' (see tts-provider.js)
+    useSsml: process.env.TTS_USE_SSML !== 'false', // Pace headings/lists with SSML (voices that support it)
+    multiVoice: process.env.TTS_MULTI_VOICE === 'true', // Read quotations and interview turns in other voices (see narration.js)
+    concurrency: parsePositiveInteger(process.env.TTS_CONCURRENCY, 4), // Chunks synthesized at once
+    maxRetries: 3, // Retries per chunk on quota and transient API errors
+    chunkCacheDir: process.env.TTS_CHUNK_CACHE_DIR || './tts-cache', // Synthesized chunks, for resuming (tts-chunks/ in the bucket with cloud storage); removed once the episode is saved, so only a failed run's (and the shared outro) are kept
+    lexiconFile: process.env.LEXICON_FILE_PATH // Pronunciation lexicon (see speech-normalizer.js)
+      ? path.resolve(process.env.LEXICON_FILE_PATH)
+      : path.join(__dirname, 'lexicon.json'),
+    builtInNormalization: process.env.TTS_BUILTIN_NORMALIZATION !== 'false', // Built-in rules for units, formulae, acronyms...
+    local: {
+      engine: process.env.LOCAL_TTS_ENGINE || 'espeak-ng', // 'espeak-ng' or 'piper'
+      piperModel: process.env.PIPER_MODEL, // Path to a piper voice (.onnx), for the piper engine
+      piperSampleRate: parsePositiveInteger(process.env.PIPER_SAMPLE_RATE, 22050), // From the voice's .onnx.json
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg' // Encodes the engine's output to MP3
+    },
     voice: {
       languageCode: 'en-US',
       name: 'en-US-Chirp3-HD-Achernar', // Default to Chirp 3: HD voice
       ssmlGender: 'FEMALE'
     },
+    // How the voice of each episode is chosen (see voice-policy.js)
+    voicePolicy: {
+      rotation: process.env.VOICE_ROTATION || 'source', // 'source' (one voice per site) or 'article'
+      tiers: ['chirp-hd', 'wavenet', 'standard'], // Voice tiers in order of preference
+      monthlyBudgetChars: { // A tier is skipped once its characters this month would exceed its budget
+        'chirp-hd': parsePositiveInteger(process.env.CHIRP_MONTHLY_BUDGET_CHARS, 1000000) // The free allowance
+      }
+    },
     audioConfig: {
       audioEncoding: 'MP3',
       speakingRate: 1.0,
@@ -54,6 +89,14 @@ export const config = {
     categories: ['Technology', 'News']
   },
   
+  // Episode template: spoken intro/outro and jingles around each article (see episode-template.js)
+  episode: {
+    introTemplate: process.env.EPISODE_INTRO_TEMPLATE ?? '[From {site}, ][published {date}, ][by {author}: ]{title}.',
+    outroTemplate: process.env.EPISODE_OUTRO_TEMPLATE ?? 'Thanks for listening to {podcast}.',
+    introJingle: process.env.INTRO_JINGLE_PATH ? path.resolve(process.env.INTRO_JINGLE_PATH) : null, // MP3, played first
+    outroJingle: process.env.OUTRO_JINGLE_PATH ? path.resolve(process.env.OUTRO_JINGLE_PATH) : null // MP3, played last
+  },
+  
   // Output configuration
   output: {
     audioDir: process.env.AUDIO_OUTPUT_DIR 
@@ -66,10 +109,63 @@ export const config = {
   
   // Content processing
   content: {
-    maxTextLength: 50000, // Max characters to process per article
+    maxTextLength: 50000, // Max characters to process per article (per part when splitting)
+    splitLongArticles: process.env.SPLIT_LONG_ARTICLES === 'true', // Split over-length articles into parts instead of truncating
+    maxArticleLength: 150000, // Per-article budget across all parts when splitting
+    duplicateThreshold: 3, // Max differing fingerprint bits for text to count as a duplicate
+    fingerprintMinWords: 100, // Texts shorter than this are not fingerprinted
+    maxPages: 10, // Max pages to fetch for multi-page articles
+    maxTableCells: parsePositiveInteger(process.env.MAX_TABLE_CELLS, 60), // Larger tables are announced as skipped instead of read out
+    describeImages: process.env.DESCRIBE_IMAGES !== 'false', // Read images' alt text (figure captions are always read)
     cacheFile: process.env.CACHE_FILE_PATH 
       ? path.resolve(process.env.CACHE_FILE_PATH)
       : path.join(__dirname, 'processed-articles.json'),
+    disabledCleanupSteps: (process.env.DISABLED_CLEANUP_STEPS || '') // Boilerplate removal steps to skip (see text-cleanup.js)
+      .split(',').map(step => step.trim()).filter(Boolean),
+    siteRulesFile: process.env.SITE_RULES_FILE_PATH
+      ? path.resolve(process.env.SITE_RULES_FILE_PATH)
+      : path.join(__dirname, 'site-rules.json'),
     userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+  },
+  
+  // Summary ("briefing") episodes (see summarizer.js)
+  summary: {
+    defaultMinutes: parseFloat(process.env.SUMMARY_MINUTES || '5'), // Target length when none is given
+    maxMinutes: 30,
+    wordsPerMinute: 150 // Narration pace at speakingRate 1.0, to convert minutes to words
+  },
+  
+  // Digest episodes: several episodes joined into one (see digest-builder.js)
+  digest: {
+    defaultDays: parsePositiveInteger(process.env.DIGEST_DAYS, 7), // Episodes made in the last N days, when no dates are given
+    maxArticles: parsePositiveInteger(process.env.DIGEST_MAX_ARTICLES, 12) // The most recent articles are kept beyond this
+  },
+  
+  // Fetching of user-supplied URLs (see safe-fetch.js)
+  fetch: {
+    timeout: 15000, // Per request
+    maxResponseBytes: 20 * 1024 * 1024, // Large enough for PDF reports
+    maxRedirects: 5,
+    maxRetries: 2, // Retries on 429/5xx and dropped connections
+    maxRetryDelayMs: 10000, // Give up rather than wait longer than this for Retry-After
+    allowPrivateAddresses: process.env.ALLOW_PRIVATE_ADDRESSES === 'true' // Local testing only
+  },
+  
+  // Content-quality gate applied before TTS (see content-quality.js)
+  quality: {
+    minWords: 150, // Fewer words than this is a teaser or error page
+    paywallMaxWords: 600, // Pages with paywall markers fail below this many words
+    maxLinkDensity: 0.5, // Max share of the text that is link text
+    allowedLanguages: (process.env.ALLOWED_LANGUAGES ?? 'en') // Comma-separated; empty allows any language
+      .split(',').map(language => language.trim().toLowerCase()).filter(Boolean)
+  },
+  
+  // Source feed subscriptions (RSS/Atom feeds polled for new articles)
+  subscriptions: {
+    file: process.env.SUBSCRIPTIONS_FILE_PATH
+      ? path.resolve(process.env.SUBSCRIPTIONS_FILE_PATH)
+      : path.join(__dirname, 'subscriptions.json'),
+    defaultMaxItemsPerPoll: 3, // Cost safety: new episodes per feed per poll
+    maxSeenEntries: 500 // Entry IDs remembered per feed for idempotent re-polls
   }
 };
@@ -0,0 +1,73 @@
+/**
+ * Content fingerprints for near-duplicate detection
+ *
+ * A 64-bit simhash of the article's word shingles: near-identical text (the same story from
+ * a syndication partner, or with a different headline or footer) gives fingerprints only a
+ * few bits apart, so duplicates can be caught before the text is sent to TTS.
+ */
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+/**
+ * Computes the simhash fingerprint of a text
+ * @param {string} text - The article text
+ * @returns {string|null} The fingerprint as 16 hex digits, or null if the text is too short to compare
+ */
+export function computeFingerprint(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < config.content.fingerprintMinWords) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    const hash = crypto.createHash('md5').update(shingle).digest().readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Counts the bits that differ between two fingerprints
+ * @param {string} a - First fingerprint
+ * @param {string} b - Second fingerprint
+ * @returns {number} The Hamming distance (0-64)
+ */
+export function fingerprintDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * Finds a cached episode whose text is near-identical to a fingerprint
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {string} fingerprint - The fingerprint of the new article
+ * @returns {string|null} The cache key of the duplicate, or null
+ */
+export function findDuplicateContent(processedArticles, fingerprint) {
+  if (!fingerprint) return null;
+
+  for (const [key, info] of Object.entries(processedArticles)) {
+    if (info.fingerprint && fingerprintDistance(info.fingerprint, fingerprint) <= config.content.duplicateThreshold) {
+      return key;
+    }
+  }
+
+  return null;
+}
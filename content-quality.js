@@ -0,0 +1,183 @@
+/**
+ * Content-quality gate for extracted articles
+ *
+ * Classifies an extraction before it is sent to TTS, so bot checks, paywalls, teasers,
+ * navigation-only pages and unsupported languages fail with a clear error instead of
+ * becoming a 20-second episode. Failures are Errors with a `code`:
+ *
+ *   BOT_CHALLENGE      - a Cloudflare/captcha/"enable JavaScript" page instead of the article
+ *   PAYWALL            - paywall or login-wall markers and little readable text
+ *   CONTENT_TOO_SHORT  - too few words to be an article
+ *   MOSTLY_NAVIGATION  - the text is mostly links (menus, link lists, tag pages)
+ *   WRONG_LANGUAGE     - not in one of config.quality.allowedLanguages
+ */
+import { config } from './config.js';
+
+// Markup and text served by bot protection instead of the page
+const CHALLENGE_PATTERNS = [
+  /<title>\s*(Just a moment\.\.\.|Attention Required! \| Cloudflare|Access denied|Are you a robot\?|Security check|DDoS-Guard|Checking your browser)/i,
+  /cf-browser-verification|cf_chl_opt|challenge-platform|cf-turnstile/i,
+  /px-captcha|_pxCaptcha|perimeterx/i,
+  /g-recaptcha|h-captcha|captcha-delivery\.com|datadome/i,
+  /Please (?:enable|turn on) JavaScript(?: and cookies)? to continue/i,
+  /Checking (?:if the site connection is secure|your browser before accessing)/i,
+  /unusual traffic from your (?:computer )?network/i
+];
+
+// Elements that only appear on paywalled or login-walled pages
+const PAYWALL_SELECTORS = [
+  '[class*="paywall" i]', '[id*="paywall" i]', '[data-testid*="paywall" i]',
+  '[class*="regwall" i]', '[id*="regwall" i]', '[class*="piano-" i]', '.tp-modal', '.tp-backdrop',
+  '[class*="meteredContent" i]', '[class*="subscriber-only" i]', '[class*="premium-content" i]'
+];
+
+// Paywall and login-wall call-to-action text
+const PAYWALL_TEXT_PATTERN = /(subscribe|sign in|log in|register|create a (?:free )?account|become a member) (?:now )?to (?:continue reading|read (?:the full|this|more)|unlock|keep reading)|this (?:article|content|story) is (?:only )?(?:available )?(?:for|to) (?:subscribers|members)|already a (?:subscriber|member)\?|you(?:'ve| have) (?:reached|used) (?:your|all your) (?:limit|free articles)/i;
+
+// Common short words per language, for a rough check of what the text is written in
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'as', 'was', 'on', 'are', 'this', 'be', 'by', 'have', 'from', 'they'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'auf', 'sich', 'ein', 'eine', 'zu', 'von', 'dem', 'auch', 'es', 'im', 'wird', 'sind'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'du', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'au', 'sont', 'avec', 'ce', 'il', 'plus'],
+  es: ['el', 'la', 'los', 'las', 'y', 'que', 'de', 'es', 'en', 'por', 'una', 'para', 'con', 'del', 'se', 'no', 'su', 'al', 'como', 'más'],
+  it: ['il', 'di', 'che', 'la', 'e', 'per', 'un', 'una', 'non', 'sono', 'della', 'con', 'del', 'gli', 'le', 'nel', 'si', 'anche', 'come', 'più'],
+  nl: ['de', 'het', 'een', 'van', 'en', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'ook', 'die', 'er', 'aan', 'wordt', 'om', 'bij'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'por', 'mais', 'dos', 'das', 'se']
+};
+
+/**
+ * Checks HTML for a bot-protection challenge page
+ * @param {string} html - The page HTML
+ * @returns {boolean} True if the page is a challenge
+ */
+export function isBotChallenge(html) {
+  if (!html) return false;
+  // Challenge pages are small; a full article that merely loads reCAPTCHA for comments isn't one
+  const sample = html.length > 200000 ? html.substring(0, 200000) : html;
+  return CHALLENGE_PATTERNS.some(pattern => pattern.test(sample)) && stripTags(sample).split(/\s+/).length < 1500;
+}
+
+/**
+ * Looks for paywall markers in a parsed page (call before Readability, which removes them)
+ * @param {Document} document - The parsed HTML document
+ * @returns {string|null} "markup" for paywall markup or schema.org flags, "text" for a
+ *   "subscribe to continue reading" style message only, or null if there are no markers
+ */
+export function findPaywallMarkers(document) {
+  const notFree = [...document.querySelectorAll('script[type="application/ld+json"]')]
+    .some(script => /"isAccessibleForFree"\s*:\s*"?false/i.test(script.textContent));
+  if (notFree) return 'markup';
+
+  for (const selector of PAYWALL_SELECTORS) {
+    try {
+      if (document.querySelector(selector)) return 'markup';
+    } catch (error) {
+      // Case-insensitive attribute selectors need a recent selector engine; skip if unsupported
+    }
+  }
+
+  return PAYWALL_TEXT_PATTERN.test(document.body?.textContent || '') ? 'text' : null;
+}
+
+/**
+ * Measures how much of an HTML fragment's text is link text
+ * @param {DocumentFragment|Element} root - The parsed content
+ * @returns {number} Link text length divided by total text length (0-1)
+ */
+export function getLinkDensity(root) {
+  const textLength = (root.textContent || '').replace(/\s+/g, ' ').trim().length;
+  if (!textLength) return 0;
+
+  const linkLength = [...root.querySelectorAll('a')]
+    .reduce((total, link) => total + link.textContent.replace(/\s+/g, ' ').trim().length, 0);
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Classifies an extraction, returning the first problem found
+ * @param {Object} extraction - What was extracted
+ * @param {string} extraction.text - The extracted text
+ * @param {string} [extraction.html] - The raw page HTML (not available for PDFs)
+ * @param {string} [extraction.paywall] - The paywall markers found ("markup" or "text")
+ * @param {number} [extraction.linkDensity] - Share of the content that is link text
+ * @param {string} [extraction.language] - The declared page language
+ * @returns {Object} { ok: true, wordCount, language } or { ok: false, code, message, wordCount, language }
+ */
+export function assessContentQuality(extraction) {
+  const { text = '', html = '', paywall = null, linkDensity = 0, language: declaredLanguage } = extraction;
+  const { minWords, paywallMaxWords, maxLinkDensity, allowedLanguages } = config.quality;
+
+  const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  const wordCount = words.length;
+  const language = detectLanguage(words) || baseLanguage(declaredLanguage);
+  const result = (code, message) => ({ ok: false, code, message, wordCount, language });
+
+  if (isBotChallenge(html)) {
+    return result('BOT_CHALLENGE', 'The site returned a bot check (such as Cloudflare) instead of the article. Try pasting the article text instead.');
+  }
+  // A "subscribe to continue" message alone is weaker evidence (newsletter sign-up boxes use it too)
+  const paywallWordLimit = paywall === 'markup' ? paywallMaxWords : paywallMaxWords / 2;
+  if (paywall && wordCount < paywallWordLimit) {
+    return result('PAYWALL', `The article appears to be behind a paywall or login (only ${wordCount} words were readable). If you have access, paste the article text instead.`);
+  }
+  if (wordCount < minWords) {
+    return result('CONTENT_TOO_SHORT', `Only ${wordCount} words could be extracted, which looks like a teaser or an error page rather than an article.`);
+  }
+  if (linkDensity > maxLinkDensity) {
+    return result('MOSTLY_NAVIGATION', `The extracted text is mostly links (${Math.round(linkDensity * 100)}%), not article content. Check the URL points to a single article.`);
+  }
+  if (allowedLanguages.length > 0 && language && !allowedLanguages.includes(language)) {
+    return result('WRONG_LANGUAGE', `The article appears to be in "${language}", but the podcast voices only support: ${allowedLanguages.join(', ')}.`);
+  }
+
+  return { ok: true, wordCount, language };
+}
+
+/**
+ * Creates the error thrown for a failed quality check
+ * @param {Object} assessment - The failed result of assessContentQuality()
+ * @returns {Error} The error, with its `code`
+ */
+export function createQualityError(assessment) {
+  const error = new Error(assessment.message);
+  error.code = assessment.code;
+  return error;
+}
+
+/**
+ * Guesses the language of a text from its most common short words
+ * @param {Array<string>} words - The lower-cased words of the text
+ * @returns {string|null} The language code, or null if the text is too short or unclear
+ */
+function detectLanguage(words) {
+  if (words.length < 50) return null;
+
+  const sample = words.slice(0, 2000);
+  const scores = Object.entries(STOPWORDS).map(([language, stopwords]) => {
+    const set = new Set(stopwords);
+    return [language, sample.filter(word => set.has(word)).length / sample.length];
+  }).sort((a, b) => b[1] - a[1]);
+
+  const [[best, bestScore], [, secondScore]] = scores;
+  return bestScore >= 0.08 && bestScore >= secondScore * 1.5 ? best : null;
+}
+
+/**
+ * Reduces a language tag to its base language ("en-GB" -> "en")
+ * @param {string} language - The language tag
+ * @returns {string|null} The base language
+ */
+function baseLanguage(language) {
+  return language ? language.toLowerCase().split(/[-_]/)[0] : null;
+}
+
+/**
+ * Strips tags and scripts from HTML for a rough word count
+ * @param {string} html - The HTML
+ * @returns {string} The text
+ */
+function stripTags(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+}
@@ -0,0 +1,425 @@
+/**
+ * Digest episodes: several episodes joined into one ("This week in sustainability")
+ *
+ * Episodes are picked from the processed articles cache by the date they were made and/or a tag
+ * (see the "tags" option of generateEpisode). Their audio is joined at the MP3 frame level (see
+ * mp3-utils.js) without being synthesized again, with short spoken transitions between them
+ * ("Next, from The Guardian: ...") and a chapter per article. Only the part of each episode where
+ * the article is read goes in, when it was recorded (episodes made before that are used whole,
+ * with their own intro and outro). The digest is cached as an episode of its own, with show notes
+ * listing the source links.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { getArticleKey } from './episode-generator.js';
+import { synthesizeText, saveEpisodeFile } from './text-to-speech.js';
+import { selectVoice } from './voice-policy.js';
+import { concatenateMp3, parseMp3Frames, sliceMp3 } from './mp3-utils.js';
+import { buildId3Tag, loadCoverArt } from './id3-tags.js';
+import { buildChaptersJson } from './chapters.js';
+import { buildOutroText } from './episode-template.js';
+import { downloadFromCloudStorage } from './cloud-storage.js';
+import { createSafeFilename } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels added to the titles of parts and summaries ("... (Part 2 of 3)", "... (Summary)")
+const EPISODE_LABEL_PATTERN = /\s+\((?:Part \d+ of \d+|Summary)\)$/;
+
+// Sources named in the opening before "and others"
+const MAX_NAMED_SOURCES = 3;
+
+/**
+ * Picks the articles for a digest from the processed articles cache
+ * Each article is its full episode (all parts, in order), or its summary episode when summaries
+ * are preferred or it has no full episode. Articles are in the order they were made; over
+ * config.digest.maxArticles, the most recent are kept.
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.days] - Episodes made in the last N days (defaults to config), unless since is given
+ * @param {string} [options.since] - Episodes made on or after this date (ISO date or date-time)
+ * @param {string} [options.until] - Episodes made before this date-time, or on or before this date (defaults to now)
+ * @param {string} [options.tag] - Only episodes with this tag
+ * @param {boolean} [options.useSummaries] - Use articles' summary episodes instead of their full episodes
+ * @returns {Object} { since, until (Dates), articles ({ key, title, link, siteName, isSummary, episodes: [{ key, info }] }),
+ *   skipped (articles over the limit) }
+ */
+export function selectDigestArticles(processedArticles, options = {}) {
+  const { since, until } = getDateRange(options);
+  const tag = options.tag?.toLowerCase();
+
+  const groups = new Map();
+  for (const [key, info] of Object.entries(processedArticles)) {
+    if (info.episodeType === 'digest' || !info.audioPath) continue;
+    const date = new Date(info.processedDate);
+    if (!(date >= since && date < until)) continue;
+    if (tag && !(info.tags || []).some(episodeTag => episodeTag.toLowerCase() === tag)) continue;
+
+    const articleKey = getArticleKey(key);
+    if (!groups.has(articleKey)) groups.set(articleKey, { full: [], summary: null });
+    const group = groups.get(articleKey);
+    if (info.episodeType === 'summary') {
+      group.summary = { key, info };
+    } else {
+      group.full.push({ key, info });
+    }
+  }
+
+  const articles = [...groups].map(([key, group]) => {
+    const isSummary = Boolean(group.summary) && (options.useSummaries || group.full.length === 0);
+    const episodes = isSummary ? [group.summary] : group.full.sort((a, b) => (a.info.part || 0) - (b.info.part || 0));
+    const { title, link, siteName, processedDate } = episodes[0].info;
+    return { key, title: title.replace(EPISODE_LABEL_PATTERN, ''), link, siteName, isSummary, processedDate, episodes };
+  });
+  articles.sort((a, b) => new Date(a.processedDate) - new Date(b.processedDate));
+
+  const kept = articles.slice(-config.digest.maxArticles);
+  return { since, until, articles: kept, skipped: articles.length - kept.length };
+}
+
+/**
+ * Builds a digest episode and records it in the cache
+ * Throws an error with code "NO_EPISODES" if no episode matches, or "DUPLICATE_DIGEST" if a
+ * digest of the same articles with the same title already exists.
+ * The caller is responsible for saving the cache afterwards.
+ * @param {Object} processedArticles - The processed articles cache (updated in place)
+ * @param {Object} [options] - Digest options (and the selection options of selectDigestArticles)
+ * @param {string} [options.title] - Episode title (defaults to one naming the tag and dates)
+ * @param {string} [options.voice] - Voice for the transitions instead of the voice policy's choice
+ * @param {boolean} [options.dryRun] - Only report which articles would go in
+ * @param {Function} [options.onStatus] - Callback for status messages
+ * @param {Function} [options.onProgress] - Callback for progress updates (percentage, message)
+ * @returns {Promise<Object>} { key, title, articles, episode, charCount (characters synthesized), voice, dryRun }
+ */
+export async function buildDigest(processedArticles, options = {}) {
+  const { onStatus = (message) => console.log(message), onProgress = () => {} } = options;
+
+  const selection = selectDigestArticles(processedArticles, options);
+  const rangeText = describeDateRange(selection.since, selection.until);
+  if (selection.articles.length === 0) {
+    const error = new Error(`No episodes made ${rangeText}${options.tag ? ` tagged "${options.tag}"` : ''}`);
+    error.code = 'NO_EPISODES';
+    throw error;
+  }
+  if (selection.skipped > 0) {
+    onStatus(`Using the ${selection.articles.length} most recent of ${selection.articles.length + selection.skipped} articles (DIGEST_MAX_ARTICLES)`);
+  }
+  const title = options.title || `Digest${options.tag ? ` (${options.tag})` : ''}: ${rangeText}`;
+
+  if (options.dryRun) {
+    const script = buildScript(title, selection.articles);
+    return { key: getDigestKey(title, selection.articles), title, articles: selection.articles, charCount: getScriptLength(script), dryRun: true };
+  }
+
+  // Read the episodes' audio first: nothing is synthesized for a digest that can't be put together
+  onProgress(5, 'Reading episode audio...');
+  const articles = [];
+  for (const article of selection.articles) {
+    const audio = await loadArticleAudio(article);
+    if (audio) articles.push({ ...article, audio });
+  }
+  const sampleRate = getCommonSampleRate(articles);
+  const usable = articles.filter(article => getSampleRate(article.audio[0]) === sampleRate);
+  for (const article of articles) {
+    if (!usable.includes(article)) console.warn(`Leaving "${article.title}" out of the digest: its audio is not ${sampleRate} Hz like the others`);
+  }
+  if (usable.length === 0) {
+    const error = new Error(`None of the ${selection.articles.length} episodes made ${rangeText} has audio that can be read`);
+    error.code = 'NO_EPISODES';
+    throw error;
+  }
+
+  const key = getDigestKey(title, usable);
+  if (processedArticles[key]) {
+    const error = new Error(`A digest of these ${usable.length} articles already exists: "${processedArticles[key].title}" (${key})`);
+    error.code = 'DUPLICATE_DIGEST';
+    error.duplicateOf = key;
+    throw error;
+  }
+
+  // The opening, a transition before each article and the closing, in one voice
+  const script = buildScript(title, usable);
+  const charCount = getScriptLength(script);
+  const { voiceConfig } = await selectVoice(
+    { title, siteName: config.podcast.title, cacheKey: key },
+    { voice: options.voice, charCount }
+  );
+  onStatus(`Building "${title}" from ${usable.length} articles (${charCount} characters of transitions, voice ${voiceConfig.name})`);
+
+  const texts = [script.opening, ...script.transitions, script.closing];
+  const spoken = [];
+  for (const [i, text] of texts.entries()) {
+    onProgress(10 + Math.round(i / texts.length * 75), `Synthesizing transition ${i + 1}/${texts.length}`);
+    spoken.push(await synthesizeText(text, voiceConfig));
+  }
+  if (getSampleRate(spoken[0]) !== sampleRate) {
+    throw new Error(`The voice ${voiceConfig.name} is ${getSampleRate(spoken[0])} Hz and the episodes are ${sampleRate} Hz: choose a voice like the episodes'`);
+  }
+
+  // Opening, then each article after its transition (one chapter each), then the closing
+  onProgress(90, 'Joining audio...');
+  const pieces = [{ audio: spoken[0] }];
+  usable.forEach((article, i) => {
+    pieces.push({ audio: spoken[i + 1], article });
+    for (const audio of article.audio) pieces.push({ audio });
+  });
+  pieces.push({ audio: spoken[spoken.length - 1] });
+  const mp3 = concatenateMp3(pieces.map(piece => piece.audio));
+
+  const starts = pieces.map((piece, i) => piece.article ? mp3.offsets[i] : null).filter(start => start !== null);
+  starts[0] = 0; // The opening belongs to the first chapter
+  const chapters = usable.map((article, i) => ({
+    title: article.isSummary ? `${article.title} (summary)` : article.title,
+    startTime: starts[i],
+    endTime: i + 1 < starts.length ? starts[i + 1] : mp3.duration
+  }));
+
+  const tag = buildId3Tag({
+    title,
+    album: config.podcast.title,
+    artist: config.podcast.author,
+    date: new Date(),
+    comment: `A digest of ${usable.length} articles`,
+    image: await loadCoverArt(),
+    chapters
+  });
+  const audioContent = Buffer.concat([tag, mp3.audio]);
+  const filename = createSafeFilename(title) + '.mp3';
+  const audioPath = await saveEpisodeFile(filename, audioContent, 'audio/mpeg');
+  const chaptersPath = await saveEpisodeFile(filename.replace(/\.mp3$/, '.chapters.json'), buildChaptersJson(chapters), 'application/json+chapters');
+  console.log(`Digest saved to: ${audioPath}`);
+
+  // Cached as an episode of its own; "digest" lists the episodes that went in
+  const processedDate = new Date().toISOString();
+  const description = buildShowNotes(usable, chapters, options.tag, rangeText);
+  const duration = Math.round(mp3.duration);
+  processedArticles[key] = {
+    title,
+    link: config.podcast.siteUrl,
+    processedDate,
+    audioPath,
+    description,
+    voice: voiceConfig.name,
+    duration,
+    fileSize: audioContent.length,
+    chaptersPath,
+    episodeType: 'digest',
+    digest: {
+      since: selection.since.toISOString(),
+      until: selection.until.toISOString(),
+      ...(options.tag && { tag: options.tag }),
+      episodes: usable.flatMap(article => article.episodes.map(episode => episode.key))
+    }
+  };
+  onProgress(100, 'Complete');
+
+  return {
+    key,
+    title,
+    articles: usable,
+    episode: { title, link: config.podcast.siteUrl, pubDate: processedDate, description, audioPath, duration, chaptersPath },
+    charCount,
+    voice: voiceConfig.name,
+    dryRun: false
+  };
+}
+
+/**
+ * Works out the date range of a digest
+ * @param {Object} options - The selection options ({ days, since, until })
+ * @returns {Object} { since, until } as Dates (since inclusive, until exclusive)
+ */
+function getDateRange(options) {
+  const until = options.until ? parseDate(options.until, true) : new Date();
+  const since = options.since
+    ? parseDate(options.since)
+    : new Date(until.getTime() - (options.days ?? config.digest.defaultDays) * DAY_MS);
+
+  if (isNaN(since.getTime()) || isNaN(until.getTime()) || since >= until) {
+    const error = new Error(`Invalid digest date range: ${options.since || `${options.days ?? config.digest.defaultDays} days`} to ${options.until || 'now'}`);
+    error.code = 'INVALID_DATE_RANGE';
+    throw error;
+  }
+  return { since, until };
+}
+
+/**
+ * Parses a date option; a date without a time ends at the end of that day when it is the end of a range
+ * @param {string} value - An ISO date ("2026-10-19") or date-time
+ * @param {boolean} [isEnd=false] - Whether the date ends the range
+ * @returns {Date} The date (invalid if it can't be parsed)
+ */
+function parseDate(value, isEnd = false) {
+  const date = new Date(value);
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+/**
+ * Describes a date range in words
+ * @param {Date} since - The start (inclusive)
+ * @param {Date} until - The end (exclusive)
+ * @returns {string} e.g. "12 October to 19 October 2026"
+ */
+function describeDateRange(since, until) {
+  const last = new Date(until.getTime() - 1);
+  const format = (date, withYear) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', ...(withYear && { year: 'numeric' }), timeZone: 'UTC' });
+  const from = format(since, since.getUTCFullYear() !== last.getUTCFullYear());
+  const to = format(last, true);
+  return from === format(last, false) ? to : `${from} to ${to}`;
+}
+
+/**
+ * Writes what is said around the articles
+ * @param {string} title - The digest title
+ * @param {Array<Object>} articles - The articles, in order
+ * @returns {Object} { opening, transitions (one per article), closing }
+ */
+function buildScript(title, articles) {
+  const sources = [...new Set(articles.map(article => article.siteName).filter(Boolean))];
+  const sourceText = sources.length === 0 ? ''
+    : sources.length <= MAX_NAMED_SOURCES ? `, from ${joinList(sources)}`
+    : `, from ${sources.slice(0, MAX_NAMED_SOURCES).join(', ')} and others`;
+  const opening = `${withFullStop(title)} ${articles.length} ${articles.length === 1 ? 'article' : 'articles'}${sourceText}.`;
+
+  const transitions = articles.map((article, i) => {
+    const order = articles.length === 1 ? null : i === 0 ? 'First' : i === articles.length - 1 ? 'Finally' : 'Next';
+    const lead = [order, article.isSummary && 'in brief', article.siteName && `from ${article.siteName}`].filter(Boolean).join(', ');
+    return lead ? `${lead.charAt(0).toUpperCase()}${lead.slice(1)}: ${withFullStop(article.title)}` : withFullStop(article.title);
+  });
+
+  const outro = buildOutroText(title);
+  const closing = `That's the end of this digest.${outro ? ` ${outro}` : ''}`;
+  return { opening, transitions, closing };
+}
+
+/**
+ * Counts the characters of a script, for the usage budget
+ * @param {Object} script - The script from buildScript()
+ * @returns {number} The character count
+ */
+function getScriptLength(script) {
+  return [script.opening, ...script.transitions, script.closing].reduce((total, text) => total + text.length, 0);
+}
+
+/**
+ * Writes the show notes: the articles, where each starts, and their links
+ * @param {Array<Object>} articles - The articles, in order
+ * @param {Array<Object>} chapters - The chapter of each article
+ * @param {string} [tag] - The tag the articles were picked by
+ * @param {string} rangeText - The date range in words
+ * @returns {string} The episode description
+ */
+function buildShowNotes(articles, chapters, tag, rangeText) {
+  const lines = articles.map((article, i) => {
+    const source = [article.siteName, article.isSummary && 'summary'].filter(Boolean).join(', ');
+    const heading = `${i + 1}. [${formatTimestamp(chapters[i].startTime)}] ${article.title}${source ? ` (${source})` : ''}`;
+    return article.link ? `${heading}\n${article.link}` : heading;
+  });
+  return `A digest of ${articles.length} ${articles.length === 1 ? 'article' : 'articles'}${tag ? ` tagged "${tag}"` : ''}, ${rangeText}.\n\n${lines.join('\n\n')}`;
+}
+
+/**
+ * Reads the audio of an article's episodes, cut to where the article is read when that is known
+ * @param {Object} article - The article from selectDigestArticles()
+ * @returns {Promise<Array<Buffer>|null>} The audio of each episode, or null if any can't be read
+ */
+async function loadArticleAudio(article) {
+  const audio = [];
+  for (const { key, info } of article.episodes) {
+    const file = await loadEpisodeFile(info.audioPath);
+    const frames = file && (info.articleRange ? sliceMp3(file, info.articleRange.start, info.articleRange.end) : file);
+    if (!frames || parseMp3Frames(frames).length === 0) {
+      console.warn(`Leaving "${article.title}" out of the digest: the audio of ${key} can't be read (${info.audioPath})`);
+      return null;
+    }
+    audio.push(frames);
+  }
+  return audio;
+}
+
+/**
+ * Reads an episode's audio file from cloud storage or the audio directory
+ * @param {string} audioPath - The episode's audio URL or local path
+ * @returns {Promise<Buffer|null>} The file, or null if it doesn't exist
+ */
+async function loadEpisodeFile(audioPath) {
+  if (/^https?:\/\//.test(audioPath)) {
+    return config.cloud.useCloudStorage ? downloadFromCloudStorage(path.basename(audioPath), 'audio') : null;
+  }
+  const localPath = path.isAbsolute(audioPath) ? audioPath : path.join(config.output.audioDir, path.basename(audioPath));
+  try {
+    return await fs.readFile(localPath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the sample rate of MP3 audio
+ * @param {Buffer} audio - The audio
+ * @returns {number|undefined} The sample rate (Hz)
+ */
+function getSampleRate(audio) {
+  return parseMp3Frames(audio)[0]?.header.sampleRate;
+}
+
+/**
+ * Finds the sample rate most of the articles share (frames of other rates can't be joined to them)
+ * @param {Array<Object>} articles - The articles, with their audio
+ * @returns {number|undefined} The sample rate (Hz)
+ */
+function getCommonSampleRate(articles) {
+  const counts = new Map();
+  for (const article of articles) {
+    const rate = getSampleRate(article.audio[0]);
+    counts.set(rate, (counts.get(rate) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Builds the cache key of a digest, the same for the same title and articles
+ * @param {string} title - The digest title
+ * @param {Array<Object>} articles - The articles
+ * @returns {string} The cache key ("digest:<hash>")
+ */
+function getDigestKey(title, articles) {
+  const hash = crypto.createHash('sha256')
+    .update([title, ...articles.flatMap(article => article.episodes.map(episode => episode.key))].join('\n'))
+    .digest('hex');
+  return `digest:${hash.slice(0, 16)}`;
+}
+
+/**
+ * Formats a time as a show notes timestamp
+ * @param {number} seconds - The time in seconds
+ * @returns {string} e.g. "4:05" or "1:02:09"
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Joins names as a spoken list ("A, B and C")
+ * @param {Array<string>} items - The names
+ * @returns {string} The list
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Ends text with a full stop, unless it already ends a sentence
+ * @param {string} text - The text
+ * @returns {string} The text
+ */
+function withFullStop(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
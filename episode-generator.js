@@ -0,0 +1,445 @@
+import { processArticle, processPastedContent } from './article-parser.js';
+import { textToAudio } from './text-to-speech.js';
+import { selectVoice } from './voice-policy.js';
+import { loadLexicon } from './speech-normalizer.js';
+import { planArticleParts, describePartPlan } from './article-parts.js';
+import { normalizeUrl } from './url-normalizer.js';
+import { computeFingerprint, findDuplicateContent } from './content-fingerprint.js';
+import { summarizeText, minutesToWords, countWords } from './summarizer.js';
+import { config } from './config.js';
+
+// Article metadata persisted in the processed articles cache
+const METADATA_FIELDS = ['author', 'publishedDate', 'siteName', 'language', 'imageUrl', 'tags'];
+
+// Cache key suffix of multi-part episodes ("<key>#part-2")
+const PART_SUFFIX_PATTERN = /#part-\d+$/;
+
+// Cache key suffix of summary episodes ("<key>#summary")
+const SUMMARY_SUFFIX = '#summary';
+const SUMMARY_SUFFIX_PATTERN = /#summary$/;
+
+// Episode modes: the whole article, or a summary of it (see summarizer.js)
+const MODES = ['full', 'summary'];
+
+/**
+ * Checks if an article URL is already in the processed articles cache
+ * URLs are compared normalized (tracking parameters, http/https, "www.", AMP and trailing
+ * slashes are ignored), and multi-part articles only match once all of their parts are cached.
+ * Full episodes and summaries are separate: an article may have one of each.
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {string} url - The article URL (or pasted content key)
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.mode='full'] - 'full' or 'summary'
+ * @returns {boolean} True if the article was already processed
+ */
+export function isArticleProcessed(processedArticles, url, options = {}) {
+  return Boolean(findProcessedKey(processedArticles, url, options.mode));
+}
+
+/**
+ * Gets the article a cache key belongs to: the key without its part or summary suffix
+ * @param {string} key - The cache key
+ * @returns {string} The article's cache key
+ */
+export function getArticleKey(key) {
+  return key.replace(PART_SUFFIX_PATTERN, '').replace(SUMMARY_SUFFIX_PATTERN, '');
+}
+
+/**
+ * Finds the cache entry for an article URL, if the article is complete
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {string} url - The article URL (or pasted content key)
+ * @param {string} [mode='full'] - 'full' or 'summary'
+ * @returns {string|null} The cache key of the entry (the first part of a multi-part article), or null
+ *   if there is none or some parts are missing
+ */
+function findProcessedKey(processedArticles, url, mode = 'full') {
+  const keys = findProcessedKeys(processedArticles, url, mode);
+  return hasAllParts(processedArticles, keys) ? keys[0] : null;
+}
+
+/**
+ * Checks whether an article's cache entries are complete (every part of a multi-part article)
+ * A run that fails partway through a multi-part article leaves only its first parts cached.
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {Array<string>} keys - The cache keys of the article's entries
+ * @returns {boolean} True if there are entries and none are missing
+ */
+function hasAllParts(processedArticles, keys) {
+  if (keys.length === 0) return false;
+
+  const partCount = processedArticles[keys[0]].partCount;
+  return !partCount || new Set(keys.map(key => processedArticles[key].part)).size >= partCount;
+}
+
+/**
+ * Finds the cache entries for an article URL (all parts of a multi-part article)
+ * @param {Object} processedArticles - The processed articles cache
+ * @param {string} url - The article URL (or pasted content key)
+ * @param {string} [mode='full'] - 'full' or 'summary'
+ * @returns {Array<string>} The cache keys of the entries
+ */
+function findProcessedKeys(processedArticles, url, mode = 'full') {
+  const key = normalizeUrl(url);
+  return Object.keys(processedArticles).filter(existing =>
+    existing.endsWith(SUMMARY_SUFFIX) === (mode === 'summary') &&
+    normalizeUrl(getArticleKey(existing)) === key);
+}
+
+/**
+ * Converts an article into a podcast episode and records it in the cache
+ * Over-length articles become "Part 1 of N" episodes when splitting is enabled.
+ * In summary mode the episode is a shorter briefing of the article's key sentences, stored as a
+ * separate episode ("<key>#summary") and linked to the full episode when both exist.
+ * Articles already in the cache under their canonical URL, or with near-identical text,
+ * are rejected before TTS with an error whose code is "DUPLICATE_ARTICLE".
+ * The caller is responsible for saving the cache: each episode (each part of a multi-part article)
+ * is reported to options.onEpisode as soon as it is added, so parts made before a failure can be kept.
+ * A later run resumes the article from the first missing part; the error of the failed run carries
+ * the charCount and voice of the parts it made, for usage tracking.
+ * @param {string|Object} source - The article URL, or pasted content ({ text|html, title, author, link })
+ * @param {Object} processedArticles - The processed articles cache (updated in place)
+ * @param {Function} [onProgress] - Callback for progress updates (percentage, message)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.mode='full'] - 'full', or 'summary' for a summary episode
+ * @param {number} [options.summaryMinutes] - Target length of a summary, in minutes (defaults to config)
+ * @param {boolean} [options.splitLongArticles] - Split over-length articles into parts (defaults to config)
+ * @param {Function} [options.onStatus] - Callback for status messages (the part plan is reported here)
+ * @param {Function} [options.onEpisode] - Async callback run after each episode is added to the cache (episode)
+ * @param {string} [options.voice] - Voice to use instead of the voice policy's choice (see voice-policy.js)
+ * @param {boolean} [options.multiVoice] - Read quotations and interview turns in other voices (defaults to config)
+ * @param {Array<string>} [options.tags] - Tags stored with the episode, for picking episodes for digests (see digest-builder.js)
+ * @returns {Promise<Object>} The new episode(s), the characters synthesized and the voice used
+ */
+export async function generateEpisode(source, processedArticles, onProgress, options = {}) {
+  const {
+    mode = 'full',
+    summaryMinutes = config.summary.defaultMinutes,
+    splitLongArticles = config.content.splitLongArticles,
+    onStatus = (message) => console.log(message),
+    onEpisode = async () => {}
+  } = options;
+
+  if (!MODES.includes(mode)) {
+    const error = new Error(`Unknown mode "${mode}" (expected ${MODES.join(' or ')})`);
+    error.code = 'INVALID_MODE';
+    throw error;
+  }
+  if (mode === 'summary' && !(summaryMinutes > 0 && summaryMinutes <= config.summary.maxMinutes)) {
+    const error = new Error(`Summary length must be between 0 and ${config.summary.maxMinutes} minutes (got ${summaryMinutes})`);
+    error.code = 'INVALID_SUMMARY_LENGTH';
+    throw error;
+  }
+
+  // A summary is of the whole article, however long
+  const extractOptions = { truncate: mode === 'full' && !splitLongArticles };
+  const article = typeof source === 'string'
+    ? await processArticle(source, extractOptions)
+    : processPastedContent(source, extractOptions);
+  if (options.tags?.length) article.tags = options.tags;
+
+  // Catch duplicates the request URL didn't reveal: canonical URLs and near-identical text
+  // (summaries are only compared by URL, and only with other summaries)
+  // An unfinished multi-part article is resumed instead (its own parts would match its text)
+  const fingerprint = computeFingerprint(article.content);
+  const existingKeys = findProcessedKeys(processedArticles, article.cacheKey, mode);
+  const existingKey = hasAllParts(processedArticles, existingKeys) ? existingKeys[0] : null;
+  const duplicateOf = existingKey ||
+    (mode === 'full' && existingKeys.length === 0 ? findDuplicateContent(processedArticles, fingerprint) : null);
+  if (duplicateOf) {
+    const reason = existingKey ? 'has the same canonical URL as' : 'has near-identical text to';
+    const error = new Error(`"${article.title}" ${reason} an existing episode: "${processedArticles[duplicateOf].title}" (${duplicateOf})`);
+    error.code = 'DUPLICATE_ARTICLE';
+    error.duplicateOf = duplicateOf;
+    throw error;
+  }
+
+  if (mode === 'summary') {
+    return generateSummaryEpisode(article, processedArticles, onProgress, { ...options, summaryMinutes, onStatus, onEpisode });
+  }
+
+  // Plan the parts up front, so the cost is known before any audio is generated
+  const plan = splitLongArticles && article.content.length > config.content.maxTextLength
+    ? planArticleParts(article.content)
+    : null;
+  if (plan) onStatus(describePartPlan(plan));
+
+  // Parts made by an earlier run that failed partway through are kept, if the plan still matches
+  const madeParts = new Map(existingKeys
+    .map(key => processedArticles[key])
+    .filter(entry => plan && entry.partCount === plan.parts.length)
+    .map(entry => [entry.part, entry]));
+  if (madeParts.size > 0) onStatus(`Resuming: ${madeParts.size} of ${plan.parts.length} parts already made`);
+
+  // Choose the voice (shared by all parts, so a resumed article keeps the voice of its first parts)
+  const { voiceConfig } = await selectVoice(article, {
+    voice: options.voice || madeParts.values().next().value?.voice,
+    charCount: plan
+      ? plan.parts.filter((part, i) => !madeParts.has(i + 1)).reduce((total, part) => total + part.length, 0)
+      : article.content.length
+  });
+  const sourceKey = article.cacheKey;
+
+  // The pronunciation lexicon for the article's site (shared by all parts)
+  const synthesisOptions = { multiVoice: options.multiVoice, lexicon: await loadLexicon(article.link) };
+
+  if (!plan) {
+    const { episode, charCount } = await createEpisode(article, {
+      key: sourceKey,
+      fingerprint,
+      title: article.title,
+      content: article.content,
+      description: article.description
+    }, voiceConfig, processedArticles, onProgress, synthesisOptions);
+    await onEpisode(episode);
+
+    return { episode, episodes: [episode], charCount, voice: voiceConfig.name };
+  }
+
+  const partCount = plan.parts.length;
+  const episodes = [];
+  let charCount = 0;
+
+  try {
+    for (let i = 0; i < partCount; i++) {
+      const part = i + 1;
+      if (madeParts.has(part)) continue;
+      const partLabel = `Part ${part} of ${partCount}`;
+      let content = `${partLabel}. ${plan.parts[i]}`;
+      if (part === partCount && plan.skippedParts > 0) {
+        content += '\n\nThis is the last part generated for this article. The rest of the article exceeded the length budget and was not converted.';
+      }
+
+      const partProgress = onProgress
+        ? (percent, message) => onProgress(Math.round((i * 100 + percent) / partCount), `${partLabel}: ${message}`)
+        : undefined;
+
+      const result = await createEpisode(article, {
+        key: getPartKey(sourceKey, part),
+        fingerprint,
+        title: `${article.title} (${partLabel})`,
+        content,
+        description: `${partLabel}. ${article.description || article.title}`,
+        part,
+        partCount
+      }, voiceConfig, processedArticles, partProgress, synthesisOptions);
+      episodes.push(result.episode);
+      charCount += result.charCount;
+
+      // Kept if a later part fails, so the parts made so far are in the feed and retention applies to them
+      await onEpisode(result.episode);
+    }
+  } catch (error) {
+    // The parts made so far are cached (see onEpisode): report what they cost, for usage tracking
+    error.charCount = charCount;
+    error.voice = voiceConfig.name;
+    throw error;
+  }
+
+  return { episode: episodes[0], episodes, charCount, voice: voiceConfig.name, plan };
+}
+
+/**
+ * Converts an article into a summary episode: its highest-ranked sentences, read in article order
+ * @param {Object} article - The processed article
+ * @param {Object} processedArticles - The processed articles cache (updated in place)
+ * @param {Function} [onProgress] - Callback for progress updates (percentage, message)
+ * @param {Object} options - Generation options (as for generateEpisode, with summaryMinutes, onStatus and onEpisode set)
+ * @returns {Promise<Object>} The episode, the characters synthesized and the voice used
+ */
+async function generateSummaryEpisode(article, processedArticles, onProgress, options) {
+  const { summaryMinutes, onStatus, onEpisode } = options;
+  const articleWords = countWords(article.content);
+  const articleMinutes = Math.round(articleWords / minutesToWords(1));
+  const targetWords = minutesToWords(summaryMinutes);
+  if (articleWords <= targetWords) {
+    const error = new Error(`"${article.title}" is already under ${summaryMinutes} minutes long (${articleWords} words), so a summary would not be shorter`);
+    error.code = 'SUMMARY_NOT_SHORTER';
+    throw error;
+  }
+
+  const summary = summarizeText(article.content, targetWords);
+  onStatus(`Summary: ${summary.selectedCount} of ${summary.sentenceCount} sentences, ${summary.wordCount} of ${articleWords} words (aiming for ${summaryMinutes} min)`);
+  const content = `${summary.text}\n\nThat was a summary. The full article is about ${articleMinutes} minutes long.`;
+
+  const { voiceConfig } = await selectVoice(article, { voice: options.voice, charCount: content.length });
+  const synthesisOptions = { multiVoice: options.multiVoice, lexicon: await loadLexicon(article.link) };
+
+  const { episode, charCount } = await createEpisode(article, {
+    key: `${article.cacheKey}${SUMMARY_SUFFIX}`,
+    title: `${article.title} (Summary)`,
+    content,
+    description: `A ${summaryMinutes}-minute summary of the article. ${article.description || article.title}`,
+    episodeType: 'summary'
+  }, voiceConfig, processedArticles, onProgress, synthesisOptions);
+  await onEpisode(episode);
+
+  return { episode, episodes: [episode], charCount, voice: voiceConfig.name };
+}
+
+/**
+ * Synthesizes one episode (an article or one part of it) and records it in the cache
+ * @param {Object} article - The processed article
+ * @param {Object} episodeData - The cache key, title, content, description, part number, article
+ *   fingerprint and episode type ('summary' for summaries)
+ * @param {Object} voiceConfig - The voice to use
+ * @param {Object} processedArticles - The processed articles cache (updated in place)
+ * @param {Function} [onProgress] - Callback for progress updates (percentage, message)
+ * @param {Object} [synthesisOptions] - Options for textToAudio ({ multiVoice, lexicon })
+ * @returns {Promise<Object>} The episode, and the characters synthesized (with the intro and outro)
+ */
+async function createEpisode(article, episodeData, voiceConfig, processedArticles, onProgress, synthesisOptions = {}) {
+  const { key, title, content, description, part, partCount, fingerprint, episodeType } = episodeData;
+  console.log(`Converting article to audio: ${title} (Voice: ${voiceConfig.name})`);
+
+  const { audioPath, duration, fileSize, chaptersPath, transcripts, articleRange, charCount } = await textToAudio(
+    content, // content is already cleaned text
+    title,
+    voiceConfig,
+    onProgress,
+    {
+      ...synthesisOptions,
+      blocks: article.blocks,
+      tags: getAudioTags(article),
+      credits: { siteName: article.siteName, author: article.author, publishedDate: article.publishedDate }
+    }
+  );
+
+  const processedDate = new Date().toISOString();
+
+  // Add to cache, keyed by the normalized canonical URL (pasted content by a content hash, parts by "#part-N")
+  const cacheEntry = {
+    title,
+    link: article.link,
+    processedDate,
+    audioPath,
+    description,
+    voice: voiceConfig.name
+  };
+  if (duration) cacheEntry.duration = duration;
+  if (fileSize) cacheEntry.fileSize = fileSize;
+  if (chaptersPath) cacheEntry.chaptersPath = chaptersPath;
+  if (transcripts) cacheEntry.transcripts = transcripts;
+  if (articleRange) cacheEntry.articleRange = articleRange;
+  if (article.cleanup?.removedChars) cacheEntry.cleanup = article.cleanup;
+  for (const field of METADATA_FIELDS) {
+    if (article[field]) cacheEntry[field] = article[field];
+  }
+  if (article.sourceType) {
+    cacheEntry.sourceType = article.sourceType;
+  }
+  if (fingerprint) {
+    cacheEntry.fingerprint = fingerprint;
+  }
+  if (part) {
+    cacheEntry.part = part;
+    cacheEntry.partCount = partCount;
+  }
+  if (episodeType) {
+    cacheEntry.episodeType = episodeType;
+  }
+  processedArticles[key] = cacheEntry;
+  linkSummaryEpisodes(processedArticles, key);
+
+  const episode = {
+    title,
+    link: article.link,
+    pubDate: processedDate,
+    description: description || title,
+    content,
+    audioPath,
+    duration,
+    fileSize,
+    chaptersPath,
+    transcripts,
+    cleanup: article.cleanup,
+    voice: voiceConfig.name,
+    author: article.author,
+    publishedDate: article.publishedDate,
+    siteName: article.siteName,
+    imageUrl: article.imageUrl,
+    part,
+    partCount,
+    episodeType,
+    fullEpisodeKey: cacheEntry.fullEpisodeKey,
+    summaryKey: cacheEntry.summaryKey
+  };
+
+  return { episode, charCount };
+}
+
+/**
+ * Links the summary and full episodes of an article to each other, whichever is made second
+ * (each full episode part links to the summary; the summary links to the first part)
+ * @param {Object} processedArticles - The processed articles cache (updated in place)
+ * @param {string} key - The cache key of the new episode
+ */
+function linkSummaryEpisodes(processedArticles, key) {
+  if (processedArticles[key].episodeType === 'summary') {
+    const fullKeys = findProcessedKeys(processedArticles, key.slice(0, -SUMMARY_SUFFIX.length));
+    if (fullKeys.length === 0) return;
+    processedArticles[key].fullEpisodeKey = fullKeys[0];
+    for (const fullKey of fullKeys) processedArticles[fullKey].summaryKey = key;
+  } else {
+    const summaryKey = findProcessedKey(processedArticles, key.replace(PART_SUFFIX_PATTERN, ''), 'summary');
+    if (!summaryKey) return;
+    processedArticles[key].summaryKey = summaryKey;
+    if ((processedArticles[key].part || 1) === 1) processedArticles[summaryKey].fullEpisodeKey = key;
+  }
+}
+
+/**
+ * Builds the ID3 tags for an article's audio (the title and album are added by textToAudio)
+ * @param {Object} article - The processed article
+ * @returns {Object} { artist, date, comment, url }
+ */
+function getAudioTags(article) {
+  const artist = [article.author, article.siteName].filter(Boolean).join(' / ');
+  const sourceUrl = article.link || null; // Pasted content may have no source
+
+  return {
+    artist: artist || config.podcast.author,
+    date: article.publishedDate ? new Date(article.publishedDate) : new Date(),
+    comment: sourceUrl ? `Source: ${sourceUrl}` : null,
+    url: sourceUrl
+  };
+}
+
+/**
+ * Builds the cache key for one part of a multi-part article
+ * @param {string} sourceKey - The article URL (or pasted content key)
+ * @param {number} part - The part number (from 1)
+ * @returns {string} The cache key
+ */
+function getPartKey(sourceKey, part) {
+  return `${sourceKey}#part-${part}`;
+}
+
+/**
+ * Converts the processed articles cache into a list of feed episodes
+ * @param {Object} processedArticles - The processed articles cache
+ * @returns {Array<Object>} Episodes for the feed and landing page
+ */
+export function buildEpisodeList(processedArticles) {
+  return Object.entries(processedArticles).map(([key, info]) => ({
+    id: key,
+    title: info.title,
+    link: info.link ?? key,
+    pubDate: info.processedDate || new Date().toISOString(),
+    description: info.description || info.title || 'No description available',
+    content: info.title || 'No content available',
+    audioPath: info.audioPath,
+    duration: info.duration,
+    fileSize: info.fileSize,
+    chaptersPath: info.chaptersPath,
+    transcripts: info.transcripts,
+    voice: info.voice,
+    author: info.author,
+    publishedDate: info.publishedDate,
+    siteName: info.siteName,
+    imageUrl: info.imageUrl,
+    episodeType: info.episodeType,
+    fullEpisodeTitle: info.fullEpisodeKey ? processedArticles[info.fullEpisodeKey]?.title : undefined,
+    summaryTitle: info.summaryKey ? processedArticles[info.summaryKey]?.title : undefined
+  }));
+}
@@ -0,0 +1,100 @@
+/**
+ * The episode template: a spoken intro and outro around the article, and optional jingles
+ *
+ * The intro and outro are filled in from config.episode templates. Placeholders are {title},
+ * {site}, {date}, {author} and {podcast}. Text in square brackets is left out when a placeholder
+ * in it has no value, so "[by {author}: ]{title}" reads as just the title for an article without
+ * an author. An empty template turns the intro or outro off.
+ *
+ * Jingles are pre-recorded MP3 files, read once per process and joined to the speech at the
+ * frame level (see mp3-utils.js).
+ */
+import fs from 'fs/promises';
+import { config } from './config.js';
+
+// Placeholders that differ from one episode to the next
+const EPISODE_PLACEHOLDERS = ['title', 'site', 'date', 'author'];
+
+const jinglePromises = new Map();
+
+/**
+ * Builds the spoken intro for an episode
+ * @param {string} title - The episode title
+ * @param {Object} [credits] - Where the article came from ({ siteName, author, publishedDate })
+ * @returns {string} The intro, or an empty string if there is none
+ */
+export function buildIntroText(title, credits = {}) {
+  return fillTemplate(config.episode.introTemplate, getTemplateValues(title, credits));
+}
+
+/**
+ * Builds the spoken outro for an episode
+ * @param {string} title - The episode title
+ * @param {Object} [credits] - Where the article came from ({ siteName, author, publishedDate })
+ * @returns {string} The outro, or an empty string if there is none
+ */
+export function buildOutroText(title, credits = {}) {
+  return fillTemplate(config.episode.outroTemplate, getTemplateValues(title, credits));
+}
+
+/**
+ * Checks if the outro is the same for every episode, so its audio can be kept and reused
+ * @returns {boolean} True if the outro template has no episode placeholders
+ */
+export function isOutroShared() {
+  return !EPISODE_PLACEHOLDERS.some(name => config.episode.outroTemplate.includes(`{${name}}`));
+}
+
+/**
+ * Loads a jingle (read once per process)
+ * @param {string} filePath - The MP3 file, or an empty value for no jingle
+ * @returns {Promise<Buffer|null>} The MP3 file, or null if there is none or it can't be read
+ */
+export function loadJingle(filePath) {
+  if (!filePath) return Promise.resolve(null);
+  if (!jinglePromises.has(filePath)) {
+    jinglePromises.set(filePath, fs.readFile(filePath).catch(error => {
+      console.warn(`Could not read jingle ${filePath}: ${error.message}`);
+      return null;
+    }));
+  }
+  return jinglePromises.get(filePath);
+}
+
+/**
+ * Gets the values of the template placeholders
+ * @param {string} title - The episode title
+ * @param {Object} credits - Where the article came from ({ siteName, author, publishedDate })
+ * @returns {Object} Values by placeholder name (empty strings for unknowns)
+ */
+function getTemplateValues(title, credits) {
+  const date = credits.publishedDate ? new Date(credits.publishedDate) : null;
+  return {
+    title,
+    site: credits.siteName || '',
+    date: date && !isNaN(date.getTime())
+      ? date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+      : '',
+    author: typeof credits.author === 'string' ? credits.author : '',
+    podcast: config.podcast.title
+  };
+}
+
+/**
+ * Fills in a template, leaving out bracketed parts whose placeholders have no value
+ * @param {string} template - The template
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} The text
+ */
+function fillTemplate(template, values) {
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '');
+
+  return (template || '')
+    .replace(/\[([^\]]*)\]/g, (match, part) => {
+      const names = [...part.matchAll(/\{(\w+)\}/g)].map(placeholder => placeholder[1]);
+      return names.every(name => values[name]) ? fill(part) : '';
+    })
+    .replace(/\{\w+\}/g, fill)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
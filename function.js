@@ -1,10 +1,12 @@
-import { processArticle } from './article-parser.js';
-import { textToAudio } from './text-to-speech.js';
+import { generateEpisode, isArticleProcessed, buildEpisodeList } from './episode-generator.js';
+import { getPastedContentKey } from './article-parser.js';
+import { pollSubscriptions } from './subscriptions.js';
+import { buildDigest } from './digest-builder.js';
 import { generatePodcastFeed } from './podcast-feed.js';
 import { createLandingPage } from './landing-page.js';
 import { ensureDirectoryExists, loadJsonFile, saveJsonFile } from './utils.js';
 import { config } from './config.js';
-import { trackUsage, getCurrentMonthStats, getOptimalVoice, logProcessingEvent } from './usage-tracker.js';
+import { trackUsage, getCurrentMonthStats, logProcessingEvent } from './usage-tracker.js';
 
 /**
  * Cloud Function entry point
@@ -37,7 +39,14 @@ export async function generatePodcast(req, res) {
     sendEvent('status', { message: 'Starting process...' });
     
     // Get Article URL from query parameter or body
-    const articleUrl = req.query.url || req.body.url;
+    const articleUrl = getRequestParam(req, 'url');
+    
+    // Or pasted text/HTML for content that can't be fetched by URL
+    const pastedContent = getPastedContent(req);
+    const articleSource = articleUrl || pastedContent;
+    const sourceKey = articleUrl || (pastedContent && getPastedContentKey(pastedContent));
+    const action = getRequestParam(req, 'action');
+    const mode = getRequestParam(req, 'mode') || 'full'; // 'full' or 'summary'
     
     // Ensure output directory exists (for local runs)
     if (!config.cloud.useCloudStorage) {
@@ -50,69 +59,108 @@ export async function generatePodcast(req, res) {
     let voiceUsedForThisRun = null;
     let totalCharsProcessed = 0;
 
-    if (articleUrl) {
-      console.log(`Received request to process article: ${articleUrl}`);
-      sendEvent('progress', { percent: 0, message: 'Fetching article content...' });
+    if (action === 'poll') {
+      console.log('Polling source feed subscriptions...');
+      sendEvent('progress', { percent: 0, message: 'Polling subscribed feeds...' });
       
-      // Check if already processed
-      // Check normalized URL (with/without trailing slash)
-      const altUrl = articleUrl.endsWith('/') ? articleUrl.slice(0, -1) : articleUrl + '/';
+      const pollResult = await pollSubscriptions(processedArticles, {
+        onStatus: (message) => sendEvent('status', { message })
+      });
+      
+      const responseData = await generateFeedResponseData(processedArticles, null, await getCurrentMonthStats());
+      responseData.message = `Polled ${pollResult.subscriptionsPolled} subscriptions: ${pollResult.episodes.length} new episodes, ${pollResult.failures.length} failures`;
+      responseData.poll = pollResult;
+      sendEvent('complete', responseData);
+      res.end();
+      return;
+    }
+
+    if (action === 'digest') {
+      console.log('Building a digest episode...');
+      sendEvent('progress', { percent: 0, message: 'Selecting episodes for the digest...' });
+
+      let digest = null;
+      try {
+        digest = await buildDigest(processedArticles, {
+          days: getNumberParam(req, 'days', config.digest.defaultDays),
+          since: getRequestParam(req, 'since'),
+          until: getRequestParam(req, 'until'),
+          tag: getRequestParam(req, 'tag'),
+          title: getRequestParam(req, 'title'),
+          useSummaries: getBooleanParam(req, 'summaries', false),
+          voice: getRequestParam(req, 'voice'),
+          onStatus: (message) => sendEvent('status', { message }),
+          onProgress: (percent, message) => sendEvent('progress', { percent, message })
+        });
+        await saveJsonFile(config.content.cacheFile, processedArticles);
+        await trackUsage(digest.charCount, digest.voice);
+      } catch (error) {
+        if (error.code !== 'DUPLICATE_DIGEST') {
+          console.error('Error building digest:', error.message);
+          sendEvent('error', { message: `Error building digest: ${error.message}`, code: error.code });
+          res.end();
+          return;
+        }
+        // Already built (a repeated scheduled request): just regenerate the feed
+        console.log(`Duplicate digest: ${error.message}`);
+        sendEvent('status', { message: `${error.message}. Regenerating feed...`, duplicateOf: error.duplicateOf });
+      }
+
+      const responseData = await generateFeedResponseData(processedArticles, digest?.episode ?? null, await getCurrentMonthStats());
+      if (digest) responseData.message = `Built digest "${digest.title}" from ${digest.articles.length} articles`;
+      sendEvent('complete', responseData);
+      res.end();
+      return;
+    }
+
+    if (articleSource) {
+      console.log(`Received request to process article: ${sourceKey}`);
+      sendEvent('progress', { percent: 0, message: articleUrl ? 'Fetching article content...' : 'Reading pasted content...' });
       
-      if (processedArticles[articleUrl] || processedArticles[altUrl]) {
-        console.log(`Article already processed: ${articleUrl}`);
+      // Check if already processed
+      if (isArticleProcessed(processedArticles, sourceKey, { mode })) {
+        console.log(`Article already processed: ${sourceKey}`);
         sendEvent('status', { message: 'Article already processed. Regenerating feed...' });
       } else {
         try {
-          // Process Article
-          const article = await processArticle(articleUrl);
-          
-          // Determine optimal voice
-          const optimalVoiceConfig = await getOptimalVoice();
-          voiceUsedForThisRun = optimalVoiceConfig.name;
-          
-          console.log(`Converting article to audio: ${article.title} (Voice: ${voiceUsedForThisRun})`);
-          
-          const audioPath = await textToAudio(
-            article.content, // content is already cleaned text
-            article.title,
-            optimalVoiceConfig,
-            (percent, message) => sendEvent('progress', { percent, message })
+          const result = await generateEpisode(
+            articleSource,
+            processedArticles,
+            (percent, message) => sendEvent('progress', { percent, message }),
+            {
+              mode,
+              summaryMinutes: getNumberParam(req, 'minutes', config.summary.defaultMinutes),
+              tags: getListParam(req, 'tags'),
+              splitLongArticles: getBooleanParam(req, 'split', config.content.splitLongArticles),
+              voice: getRequestParam(req, 'voice'),
+              multiVoice: getBooleanParam(req, 'multiVoice', config.tts.multiVoice),
+              onStatus: (message) => sendEvent('status', { message }),
+              onEpisode: () => saveJsonFile(config.content.cacheFile, processedArticles)
+            }
           );
           
-          // Track usage
-          totalCharsProcessed += article.content.length;
-          
-          // Create episode object
-          newEpisode = {
-            title: article.title,
-            link: article.link,
-            pubDate: new Date().toISOString(),
-            description: article.description || article.title,
-            content: article.content,
-            audioPath: audioPath
-          };
-          
-          // Add to cache
-          processedArticles[article.link] = {
-            title: article.title,
-            processedDate: new Date().toISOString(),
-            audioPath: audioPath,
-            description: article.description,
-            // Store minimal info needed for feed generation
-          };
+          newEpisode = result.episode;
+          voiceUsedForThisRun = result.voice;
           
-          // Save cache immediately
-          await saveJsonFile(config.content.cacheFile, processedArticles);
+          // Track usage (the cache was saved as each episode was added)
+          totalCharsProcessed += result.charCount;
           
         } catch (error) {
-          console.error(`Error processing article "${articleUrl}":`, error.message);
-          sendEvent('error', { message: `Error processing article: ${error.message}` });
-          res.end();
-          return;
+          if (error.code !== 'DUPLICATE_ARTICLE') {
+            console.error(`Error processing article "${sourceKey}":`, error.message);
+            // Parts made before the failure are cached, and paid for
+            if (error.charCount > 0) await trackUsage(error.charCount, error.voice);
+            sendEvent('error', { message: `Error processing article: ${error.message}`, code: error.code });
+            res.end();
+            return;
+          }
+          // Same article under another URL: nothing to synthesize, just regenerate the feed
+          console.log(`Duplicate article: ${error.message}`);
+          sendEvent('status', { message: `Article already processed: ${error.message}. Regenerating feed...`, duplicateOf: error.duplicateOf });
         }
       }
     } else {
-      console.log('No URL provided. Regenerating feed/landing page only.');
+      console.log('No URL or content provided. Regenerating feed/landing page only.');
       sendEvent('status', { message: 'Regenerating feed and landing page...' });
     }
     
@@ -123,7 +171,7 @@ export async function generatePodcast(req, res) {
       
       // Log detailed event for future carbon/energy analysis
       await logProcessingEvent({
-        url: articleUrl,
+        url: sourceKey,
         title: newEpisode ? newEpisode.title : 'Unknown',
         charCount: totalCharsProcessed,
         voice: voiceUsedForThisRun
@@ -147,23 +195,79 @@ export async function generatePodcast(req, res) {
   }
 }
 
+/**
+ * Reads a request parameter from the query string or the request body
+ * @param {Object} req - The HTTP request object
+ * @param {string} name - The parameter name
+ * @returns {string|undefined} The parameter value
+ */
+function getRequestParam(req, name) {
+  return (req.query && req.query[name]) || (req.body && req.body[name]);
+}
+
+/**
+ * Reads a boolean request parameter ("true"/"false", or a JSON boolean)
+ * @param {Object} req - The HTTP request object
+ * @param {string} name - The parameter name
+ * @param {boolean} defaultValue - Value used when the parameter is absent
+ * @returns {boolean} The parameter value
+ */
+function getBooleanParam(req, name, defaultValue) {
+  const value = getRequestParam(req, name);
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Reads a numeric request parameter (a string or a JSON number)
+ * @param {Object} req - The HTTP request object
+ * @param {string} name - The parameter name
+ * @param {number} defaultValue - Value used when the parameter is absent
+ * @returns {number} The parameter value (NaN if it isn't a number)
+ */
+function getNumberParam(req, name, defaultValue) {
+  const value = getRequestParam(req, name);
+  if (value === undefined || value === '') return defaultValue;
+  return Number(value);
+}
+
+/**
+ * Reads a list request parameter (comma-separated, or a JSON array)
+ * @param {Object} req - The HTTP request object
+ * @param {string} name - The parameter name
+ * @returns {Array<string>} The values (none when the parameter is absent)
+ */
+function getListParam(req, name) {
+  const value = getRequestParam(req, name);
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Reads pasted content (plain text or raw HTML) from the request
+ * @param {Object} req - The HTTP request object
+ * @returns {Object|null} The pasted content, or null if none was provided
+ */
+function getPastedContent(req) {
+  const text = getRequestParam(req, 'text');
+  const html = getRequestParam(req, 'html');
+  if (!text && !html) return null;
+
+  return {
+    text,
+    html,
+    title: getRequestParam(req, 'title'),
+    author: getRequestParam(req, 'author'),
+    link: getRequestParam(req, 'link')
+  };
+}
+
 /**
  * Generate feed data
  */
 async function generateFeedResponseData(processedArticles, newEpisode, usageStats) {
-  const allEpisodes = [];
-  
   // Convert processedArticles object to array of episodes
-  for (const [link, info] of Object.entries(processedArticles)) {
-    allEpisodes.push({
-      title: info.title,
-      link: link,
-      pubDate: info.processedDate || new Date().toISOString(),
-      description: info.description || info.title || "No description available",
-      content: info.title || "No content available",
-      audioPath: info.audioPath
-    });
-  }
+  const allEpisodes = buildEpisodeList(processedArticles);
   
   if (allEpisodes.length === 0) {
      const landingPageUrl = config.cloud.useCloudStorage
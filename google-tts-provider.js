@@ -0,0 +1,70 @@
+/**
+ * Google Cloud Text-to-Speech provider (see tts-provider.js for the provider interface)
+ */
+import textToSpeech from '@google-cloud/text-to-speech';
+
+// gRPC status codes worth retrying: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED (quota), ABORTED, INTERNAL, UNAVAILABLE
+const RETRY_GRPC_CODES = [4, 8, 10, 13, 14];
+
+// Network errors worth retrying
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Voice tiers by name pattern, with list prices: characters free each month, then the price per character
+const VOICE_TIERS = [
+  { tier: 'chirp-hd', pattern: /Chirp3?-HD/i, freeCharsPerMonth: 1000000, pricePerChar: 30 / 1000000 },
+  { tier: 'studio', pattern: /-Studio-/i, freeCharsPerMonth: 100000, pricePerChar: 160 / 1000000 },
+  { tier: 'neural2', pattern: /-(Neural2|Polyglot)-/i, freeCharsPerMonth: 1000000, pricePerChar: 16 / 1000000 },
+  { tier: 'wavenet', pattern: /-Wavenet-/i, freeCharsPerMonth: 1000000, pricePerChar: 4 / 1000000 },
+  { tier: 'standard', pattern: /-Standard-/i, freeCharsPerMonth: 4000000, pricePerChar: 4 / 1000000 }
+];
+
+// Created on first use, so the other providers work without Google credentials
+let client = null;
+
+/**
+ * Creates the Google Cloud TTS provider
+ * @returns {Object} The provider
+ */
+export function createGoogleProvider() {
+  return {
+    name: 'google',
+    maxRequestBytes: 5000,
+    supportedEncodings: ['MP3', 'LINEAR16', 'OGG_OPUS', 'MULAW', 'ALAW'],
+    voiceTiers: Object.fromEntries(VOICE_TIERS.map(({ tier, freeCharsPerMonth, pricePerChar }) => [tier, { freeCharsPerMonth, pricePerChar }])),
+
+    // Voices of other families (Journey, News...) are billed like Neural2
+    getVoiceTier: (voiceName) => VOICE_TIERS.find(({ pattern }) => pattern.test(voiceName || ''))?.tier || 'neural2',
+
+    // Chirp HD voices only accept plain text
+    supportsSsml: (voiceConfig) => !/Chirp3?-HD/i.test(voiceConfig?.name || ''),
+
+    async listVoices(languageCode) {
+      const [response] = await getClient().listVoices({ languageCode });
+      return response.voices.map(voice => ({
+        name: voice.name,
+        languageCode: voice.languageCodes[0],
+        ssmlGender: voice.ssmlGender
+      }));
+    },
+
+    async synthesize({ input, isSsml, voice, audioConfig }) {
+      const [response] = await getClient().synthesizeSpeech({
+        input: isSsml ? { ssml: input } : { text: input },
+        voice,
+        audioConfig
+      });
+      return Buffer.from(response.audioContent);
+    },
+
+    isTransientError: (error) => RETRY_GRPC_CODES.includes(error.code) || RETRY_ERROR_CODES.includes(error.code)
+  };
+}
+
+/**
+ * Gets the Cloud TTS client
+ * @returns {Object} The client
+ */
+function getClient() {
+  if (!client) client = new textToSpeech.TextToSpeechClient();
+  return client;
+}
@@ -0,0 +1,221 @@
+/**
+ * ID3v2.3 tags for episode MP3s
+ *
+ * Podcast apps and music players read the title, artist, album, date, comment, cover art and
+ * chapters from these tags when a file is downloaded or shared outside the feed. Version 2.3 is used
+ * because it is the one every player supports.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { safeFetch } from './safe-fetch.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Used when the podcast image can't be fetched
+const FALLBACK_COVER_PATH = path.join(__dirname, 'logo.png');
+
+const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png'];
+
+// Cover art larger than this isn't embedded (it would be repeated in every episode)
+const MAX_COVER_BYTES = 1024 * 1024;
+
+// Text encodings of ID3v2.3 frames
+const LATIN1 = 0;
+const UTF16 = 1;
+
+let coverArtPromise = null;
+
+/**
+ * Builds an ID3v2.3 tag
+ * @param {Object} tags - The tag values (each optional)
+ * @param {string} [tags.title] - Episode title
+ * @param {string} [tags.artist] - Author and/or source site
+ * @param {string} [tags.album] - Podcast title
+ * @param {Date} [tags.date] - Publication date
+ * @param {string} [tags.comment] - Comment (the source URL)
+ * @param {string} [tags.url] - Source web page
+ * @param {Object} [tags.image] - Cover art ({ mimeType, data })
+ * @param {Array<Object>} [tags.chapters] - Chapters ({ title, startTime, endTime } in seconds)
+ * @returns {Buffer} The tag, to put at the start of the file
+ */
+export function buildId3Tag(tags) {
+  const frames = [];
+
+  if (tags.title) frames.push(textFrame('TIT2', tags.title));
+  if (tags.artist) frames.push(textFrame('TPE1', tags.artist));
+  if (tags.album) frames.push(textFrame('TALB', tags.album));
+  frames.push(textFrame('TCON', 'Podcast'));
+
+  if (tags.date && !isNaN(tags.date.getTime())) {
+    const day = String(tags.date.getUTCDate()).padStart(2, '0');
+    const month = String(tags.date.getUTCMonth() + 1).padStart(2, '0');
+    frames.push(textFrame('TYER', String(tags.date.getUTCFullYear())));
+    frames.push(textFrame('TDAT', `${day}${month}`));
+  }
+
+  if (tags.comment) {
+    const encoding = getEncoding(tags.comment);
+    frames.push(frame('COMM', Buffer.concat([
+      Buffer.from([encoding]),
+      Buffer.from('eng', 'latin1'),
+      encodeText('', encoding, true),
+      encodeText(tags.comment, encoding, false)
+    ])));
+  }
+
+  if (tags.url) frames.push(frame('WOAS', Buffer.from(tags.url, 'latin1')));
+
+  if (tags.chapters?.length) frames.push(...chapterFrames(tags.chapters));
+
+  // Cover art last: it is by far the largest frame
+  if (tags.image) {
+    frames.push(frame('APIC', Buffer.concat([
+      Buffer.from([LATIN1]),
+      Buffer.from(`${tags.image.mimeType}\0`, 'latin1'),
+      Buffer.from([0x03]), // Front cover
+      Buffer.from([0x00]), // Empty description
+      tags.image.data
+    ])));
+  }
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.from([0x49, 0x44, 0x33, 0x03, 0x00, 0x00, ...toSyncsafe(body.length)]);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Loads the cover art to embed: the podcast image, or the bundled logo if it can't be fetched
+ * Loaded once per process.
+ * @returns {Promise<Object|null>} { mimeType, data }, or null if there is no usable image
+ */
+export function loadCoverArt() {
+  if (!coverArtPromise) coverArtPromise = fetchCoverArt();
+  return coverArtPromise;
+}
+
+/**
+ * Fetches the podcast image, falling back to the bundled logo
+ * @returns {Promise<Object|null>} { mimeType, data }, or null
+ */
+async function fetchCoverArt() {
+  if (config.podcast.imageUrl) {
+    try {
+      const response = await safeFetch(config.podcast.imageUrl, {
+        allowedContentTypes: IMAGE_CONTENT_TYPES,
+        maxBytes: MAX_COVER_BYTES
+      });
+      const data = Buffer.from(response.data);
+      return { mimeType: getImageType(data) || response.contentType, data };
+    } catch (error) {
+      console.warn(`Could not fetch cover art from ${config.podcast.imageUrl}: ${error.message}`);
+    }
+  }
+
+  try {
+    const data = await fs.readFile(FALLBACK_COVER_PATH);
+    if (data.length > MAX_COVER_BYTES) {
+      console.warn(`Not embedding cover art: ${FALLBACK_COVER_PATH} is over ${MAX_COVER_BYTES} bytes`);
+      return null;
+    }
+    return { mimeType: getImageType(data) || 'image/png', data };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detects an image's type from its first bytes
+ * @param {Buffer} data - The image
+ * @returns {string|null} The MIME type, or null if not JPEG or PNG
+ */
+function getImageType(data) {
+  if (data[0] === 0xFF && data[1] === 0xD8) return 'image/jpeg';
+  if (data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+  return null;
+}
+
+/**
+ * Builds the chapter frames: a CHAP frame per chapter and a CTOC frame listing them in order
+ * (ID3v2 Chapter Frame Addendum)
+ * @param {Array<Object>} chapters - Chapters ({ title, startTime, endTime } in seconds)
+ * @returns {Array<Buffer>} The frames
+ */
+function chapterFrames(chapters) {
+  const ids = chapters.map((chapter, i) => `chp${i}`);
+
+  const chapFrames = chapters.map((chapter, i) => {
+    const times = Buffer.alloc(16);
+    times.writeUInt32BE(Math.round(chapter.startTime * 1000), 0);
+    times.writeUInt32BE(Math.round(chapter.endTime * 1000), 4);
+    times.writeUInt32BE(0xFFFFFFFF, 8); // No byte offsets: players use the times
+    times.writeUInt32BE(0xFFFFFFFF, 12);
+    return frame('CHAP', Buffer.concat([Buffer.from(`${ids[i]}\0`, 'latin1'), times, textFrame('TIT2', chapter.title)]));
+  });
+
+  const toc = frame('CTOC', Buffer.concat([
+    Buffer.from('toc\0', 'latin1'),
+    Buffer.from([0x03, ids.length]), // Top-level, ordered
+    Buffer.from(ids.map(id => `${id}\0`).join(''), 'latin1')
+  ]));
+
+  return [toc, ...chapFrames];
+}
+
+/**
+ * Builds a text frame (TIT2, TPE1...)
+ * @param {string} id - The frame ID
+ * @param {string} text - The text
+ * @returns {Buffer} The frame
+ */
+function textFrame(id, text) {
+  const encoding = getEncoding(text);
+  return frame(id, Buffer.concat([Buffer.from([encoding]), encodeText(text, encoding, false)]));
+}
+
+/**
+ * Builds a frame: ID, size, flags and content
+ * @param {string} id - The frame ID
+ * @param {Buffer} content - The content
+ * @returns {Buffer} The frame
+ */
+function frame(id, content) {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(content.length, 4); // Not syncsafe in v2.3
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * Picks Latin-1 when the text fits in it, UTF-16 otherwise
+ * @param {string} text - The text
+ * @returns {number} The encoding byte
+ */
+function getEncoding(text) {
+  return /^[\x00-\xFF]*$/.test(text) ? LATIN1 : UTF16;
+}
+
+/**
+ * Encodes text for a frame
+ * @param {string} text - The text
+ * @param {number} encoding - LATIN1 or UTF16
+ * @param {boolean} terminate - Whether to add the string terminator
+ * @returns {Buffer} The encoded text
+ */
+function encodeText(text, encoding, terminate) {
+  if (encoding === LATIN1) {
+    return Buffer.from(terminate ? `${text}\0` : text, 'latin1');
+  }
+  const bom = Buffer.from([0xFF, 0xFE]);
+  return Buffer.concat([bom, Buffer.from(text, 'utf16le'), Buffer.alloc(terminate ? 2 : 0)]);
+}
+
+/**
+ * Encodes a size as 4 "syncsafe" bytes (7 bits each)
+ * @param {number} size - The size
+ * @returns {Array<number>} The bytes
+ */
+function toSyncsafe(size) {
+  return [(size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F];
+}
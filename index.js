@@ -1,5 +1,6 @@
-import { processArticle } from './article-parser.js';
-import { textToAudio } from './text-to-speech.js';
+import fs from 'fs/promises';
+import { generateEpisode, isArticleProcessed, buildEpisodeList } from './episode-generator.js';
+import { getPastedContentKey } from './article-parser.js';
 import { generatePodcastFeed } from './podcast-feed.js';
 import { createLandingPage } from './landing-page.js';
 import { 
@@ -9,6 +10,9 @@ import {
 } from './utils.js';
 import { config } from './config.js';
 
+// Options followed by a value, read by main()
+const VALUE_OPTIONS = ['--voice', '--mode', '--minutes', '--tags'];
+
 /**
  * Main application function for local testing
  */
@@ -16,15 +20,32 @@ async function main() {
   try {
     console.log('Sustainability TSS Podcast Generator Starting...');
     
-    // Get URL from command line args
-    const articleUrl = process.argv[2];
+    // Get URL (or a file of pasted text/HTML) from command line args
+    const args = process.argv.slice(2);
+    const articleSource = await parseSourceArgs(args);
+    const splitLongArticles = args.includes('--split') || config.content.splitLongArticles;
+    const multiVoice = args.includes('--multi-voice') || config.tts.multiVoice;
+    const missingValue = VALUE_OPTIONS.find(name => getOptionValue(args, name) === null);
+    if (missingValue) {
+      console.error(`Missing value for ${missingValue}`);
+      printUsage();
+      process.exit(1);
+    }
+    const voice = getOptionValue(args, '--voice');
+    const mode = getOptionValue(args, '--mode') ?? 'full';
+    const minutes = getOptionValue(args, '--minutes');
+    const summaryMinutes = minutes !== undefined ? Number(minutes) : undefined;
+    const tags = getOptionValue(args, '--tags')?.split(',').map(tag => tag.trim()).filter(Boolean);
+    const sourceKey = typeof articleSource === 'string'
+      ? articleSource
+      : articleSource && getPastedContentKey(articleSource);
     
-    if (!articleUrl) {
-      console.log('Usage: node index.js <article-url>');
+    if (!articleSource) {
+      printUsage();
       // If no URL provided, just regenerate feed from existing cache
       console.log('No URL provided. Regenerating feed from cache...');
     } else {
-      console.log(`Processing article: ${articleUrl}`);
+      console.log(`Processing article: ${sourceKey}`);
     }
     
     // Ensure output directory exists
@@ -35,67 +56,34 @@ async function main() {
       config.content.cacheFile, 
       {}
     );
-    
-    let newEpisode = null;
 
-    if (articleUrl) {
+    if (articleSource) {
       // check if already processed
-      const altUrl = articleUrl.endsWith('/') ? articleUrl.slice(0, -1) : articleUrl + '/';
-      if (processedArticles[articleUrl] || processedArticles[altUrl]) {
-        console.log(`Article already processed: ${articleUrl}`);
+      if (isArticleProcessed(processedArticles, sourceKey, { mode })) {
+        console.log(`Article already processed: ${sourceKey}`);
       } else {
         try {
-          // Process Article
-          const article = await processArticle(articleUrl);
-          console.log(`Title: ${article.title}`);
-          
-          // Convert to Audio
-          console.log(`Converting to audio...`);
-          const audioPath = await textToAudio(
-            article.content, 
-            article.title
-          );
-          
-          // Create episode object
-          newEpisode = {
-            title: article.title,
-            link: article.link,
-            pubDate: new Date().toISOString(),
-            description: article.description || article.title,
-            content: article.content,
-            audioPath: audioPath
-          };
-          
-          // Add to cache
-          processedArticles[article.link] = {
-            title: article.title,
-            processedDate: new Date().toISOString(),
-            audioPath: audioPath,
-            description: article.description
-          };
-          
-          // Save cache
-          await saveJsonFile(config.content.cacheFile, processedArticles);
+          // Process Article and convert to audio
+          // The cache is saved as each episode (or part) is made, so finished parts survive a failure
+          const { episodes } = await generateEpisode(articleSource, processedArticles, undefined, {
+            splitLongArticles, voice, multiVoice, mode, summaryMinutes, tags,
+            onEpisode: () => saveJsonFile(config.content.cacheFile, processedArticles)
+          });
+          episodes.forEach(episode => console.log(`Title: ${episode.title}`));
           console.log('Article processed successfully.');
           
         } catch (error) {
-          console.error(`Error processing article "${articleUrl}":`, error.message);
+          if (error.code === 'DUPLICATE_ARTICLE') {
+            console.log(`Article already processed: ${error.message}`);
+          } else {
+            console.error(`Error processing article "${sourceKey}":`, error.message);
+          }
         }
       }
     }
     
     // Generate Feed from Cache
-    const allEpisodes = [];
-    for (const [link, info] of Object.entries(processedArticles)) {
-      allEpisodes.push({
-        title: info.title,
-        link: link,
-        pubDate: info.processedDate || new Date().toISOString(),
-        description: info.description || info.title,
-        content: info.title || "No content available",
-        audioPath: info.audioPath
-      });
-    }
+    const allEpisodes = buildEpisodeList(processedArticles);
 
     if (allEpisodes.length > 0) {
       await generatePodcastFeed(allEpisodes);
@@ -116,6 +104,61 @@ async function main() {
   }
 }
 
+/**
+ * Prints the command line usage
+ */
+function printUsage() {
+  console.log('Usage: node index.js <article-url> [--split] [--voice NAME] [--multi-voice] [--mode summary [--minutes N]] [--tags a,b]');
+  console.log('       node index.js --text-file <file> | --html-file <file> [--title T] [--author A] [--link URL] [--split] [--voice NAME] [--multi-voice] [--mode summary [--minutes N]] [--tags a,b]');
+}
+
+/**
+ * Gets the value following an option in the command line args
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - The option, such as '--voice'
+ * @returns {string|null|undefined} The value, null if the option has none, or undefined if the option is absent
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = args[index + 1];
+  return value !== undefined && !value.startsWith('--') ? value : null;
+}
+
+/**
+ * Parses the article source from command line args
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<string|Object|null>} The article URL, pasted content, or null
+ */
+async function parseSourceArgs(args) {
+  const pasted = {};
+  let url = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--text-file' && i + 1 < args.length) {
+      pasted.text = await fs.readFile(args[++i], 'utf8');
+    } else if (arg === '--html-file' && i + 1 < args.length) {
+      pasted.html = await fs.readFile(args[++i], 'utf8');
+    } else if (arg === '--title' && i + 1 < args.length) {
+      pasted.title = args[++i];
+    } else if (arg === '--author' && i + 1 < args.length) {
+      pasted.author = args[++i];
+    } else if (arg === '--link' && i + 1 < args.length) {
+      pasted.link = args[++i];
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      if (getOptionValue(args.slice(i), arg) !== null) i++; // Read by main()
+    } else if (!arg.startsWith('--')) {
+      url = arg;
+    }
+  }
+
+  if (pasted.text || pasted.html) return pasted;
+  return url;
+}
+
 // Run the application
 main().then(() => {
   console.log('Processing completed');
@@ -36,6 +36,7 @@ export async function createLandingPage(episodes = [], usageStats = null) {
     .map(episode => ({
       ...episode,
       pubDate: new Date(episode.pubDate).toLocaleDateString(),
+      publishedDate: episode.publishedDate ? new Date(episode.publishedDate).toLocaleDateString() : null,
       description: (episode.description || '').substring(0, 200) + ((episode.description || '').length > 200 ? '...' : '')
     }));
 
@@ -0,0 +1,132 @@
+/**
+ * Offline text-to-speech with an engine installed on this machine (see tts-provider.js for the
+ * provider interface)
+ *
+ * espeak-ng (the default) or piper produces the speech, and ffmpeg encodes it to MP3 so the
+ * chunks can be joined like the Google provider's. No credentials or network are needed.
+ */
+import { spawn } from 'child_process';
+import path from 'path';
+import { config } from './config.js';
+
+// espeak-ng's default speaking rate, in words per minute
+const ESPEAK_WORDS_PER_MINUTE = 175;
+
+/**
+ * Creates the local TTS provider
+ * @returns {Object} The provider
+ */
+export function createLocalProvider() {
+  const { engine } = config.tts.local;
+  if (engine !== 'espeak-ng' && engine !== 'piper') {
+    throw new Error(`Unknown local TTS engine "${engine}" (expected espeak-ng or piper)`);
+  }
+  if (engine === 'piper' && !config.tts.local.piperModel) {
+    throw new Error('PIPER_MODEL must be set to a piper voice model (.onnx) to use the piper engine');
+  }
+
+  return {
+    name: 'local',
+    // The engines take any length, but keeping requests small lets chunks run in parallel
+    maxRequestBytes: 5000,
+    supportedEncodings: ['MP3'],
+    voiceTiers: { free: { freeCharsPerMonth: 0, pricePerChar: 0 } },
+    getVoiceTier: () => 'free',
+
+    // espeak-ng reads SSML (-m); piper only reads plain text
+    supportsSsml: () => engine === 'espeak-ng',
+
+    async listVoices(languageCode) {
+      if (engine === 'piper') {
+        const name = path.basename(config.tts.local.piperModel, '.onnx');
+        return [{ name, languageCode, ssmlGender: 'NEUTRAL' }];
+      }
+
+      const output = await runCommand('espeak-ng', [`--voices=${languageCode.toLowerCase()}`]);
+      return parseEspeakVoices(output.toString());
+    },
+
+    async synthesize({ input, isSsml, voice, audioConfig }) {
+      const speakingRate = audioConfig.speakingRate || 1;
+
+      if (engine === 'piper') {
+        const args = ['--model', config.tts.local.piperModel, '--output-raw', '--length_scale', String(1 / speakingRate)];
+        const pcm = await runCommand('piper', args, input);
+        return encodeMp3(pcm, ['-f', 's16le', '-ar', String(config.tts.local.piperSampleRate), '-ac', '1']);
+      }
+
+      const args = ['--stdin', '--stdout', '-s', String(Math.round(ESPEAK_WORDS_PER_MINUTE * speakingRate))];
+      if (voice?.name) args.push('-v', voice.name);
+      if (isSsml) args.push('-m');
+      const wav = await runCommand('espeak-ng', args, input);
+      return encodeMp3(wav, []);
+    },
+
+    // A local engine failing won't fix itself by retrying
+    isTransientError: () => false
+  };
+}
+
+/**
+ * Parses the output of `espeak-ng --voices`
+ * @param {string} output - The command output (a table with a header row)
+ * @returns {Array<Object>} The voices ({ name, languageCode, ssmlGender })
+ */
+function parseEspeakVoices(output) {
+  return output.split('\n').slice(1)
+    .map(line => line.trim().split(/\s+/))
+    .filter(columns => columns.length >= 4)
+    .map(([, language, ageGender]) => {
+      const gender = ageGender.split('/')[1];
+      return {
+        name: language,
+        languageCode: language,
+        ssmlGender: gender === 'M' ? 'MALE' : gender === 'F' ? 'FEMALE' : 'NEUTRAL'
+      };
+    });
+}
+
+/**
+ * Encodes audio to MP3 with ffmpeg
+ * @param {Buffer} audio - The audio (WAV, or raw PCM described by inputArgs)
+ * @param {Array<string>} inputArgs - ffmpeg options describing the input
+ * @returns {Promise<Buffer>} The MP3
+ */
+function encodeMp3(audio, inputArgs) {
+  return runCommand(config.tts.local.ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    ...inputArgs, '-i', 'pipe:0',
+    '-ac', '1', '-ar', '24000', '-b:a', '64k', '-f', 'mp3', 'pipe:1'
+  ], audio);
+}
+
+/**
+ * Runs a command, writing input to its stdin
+ * @param {string} command - The command
+ * @param {Array<string>} args - Its arguments
+ * @param {string|Buffer} [input] - Data for stdin
+ * @returns {Promise<Buffer>} Its stdout
+ */
+function runCommand(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', data => stdout.push(data));
+    child.stderr.on('data', data => stderr.push(data));
+    child.on('error', error => {
+      reject(error.code === 'ENOENT'
+        ? new Error(`${command} is not installed (needed by the local TTS provider)`)
+        : error);
+    });
+    child.on('close', code => {
+      if (code === 0) return resolve(Buffer.concat(stdout));
+      reject(new Error(`${command} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+    });
+
+    // The command may exit before reading all its input (e.g. on bad arguments)
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
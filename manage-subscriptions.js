@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * CLI tool for managing source feed subscriptions
+ *
+ * Usage:
+ *   node manage-subscriptions.js [options]
+ *
+ * Options:
+ *   --add URL          Subscribe to an RSS/Atom feed
+ *   --title TITLE      Display name for the new subscription
+ *   --include a,b      Only process entries mentioning one of these keywords
+ *   --exclude a,b      Skip entries mentioning any of these keywords
+ *   --tags a,b         Tag the new subscription's episodes (to build digests by tag)
+ *   --max-items N      Maximum new episodes per poll for the new subscription
+ *   --skip-existing    Don't generate episodes for entries already in the feed
+ *   --remove ID|URL    Remove a subscription
+ *   --list             List all subscriptions
+ *   --poll             Poll all subscriptions and generate new episodes
+ *   --only ID          Poll a single subscription
+ *   --dry-run          Show what would be processed without generating audio
+ *   --help             Show this help
+ */
+
+import {
+  addSubscription,
+  removeSubscription,
+  loadSubscriptions,
+  pollSubscriptions
+} from './subscriptions.js';
+import { buildEpisodeList } from './episode-generator.js';
+import { generatePodcastFeed } from './podcast-feed.js';
+import { createLandingPage } from './landing-page.js';
+import { ensureDirectoryExists, loadJsonFile } from './utils.js';
+import { getCurrentMonthStats } from './usage-tracker.js';
+import { config } from './config.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  add: null,
+  title: null,
+  include: [],
+  exclude: [],
+  tags: [],
+  maxItems: 0,
+  skipExisting: false,
+  remove: null,
+  list: false,
+  poll: false,
+  only: null,
+  dryRun: false,
+  help: false
+};
+
+const parseKeywords = (value) => value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  if (arg === '--add' && i + 1 < args.length) {
+    options.add = args[++i];
+  } else if (arg === '--title' && i + 1 < args.length) {
+    options.title = args[++i];
+  } else if (arg === '--include' && i + 1 < args.length) {
+    options.include = parseKeywords(args[++i]);
+  } else if (arg === '--exclude' && i + 1 < args.length) {
+    options.exclude = parseKeywords(args[++i]);
+  } else if (arg === '--tags' && i + 1 < args.length) {
+    options.tags = parseKeywords(args[++i]);
+  } else if (arg === '--max-items' && i + 1 < args.length) {
+    options.maxItems = parseInt(args[++i], 10);
+  } else if (arg === '--skip-existing') {
+    options.skipExisting = true;
+  } else if (arg === '--remove' && i + 1 < args.length) {
+    options.remove = args[++i];
+  } else if (arg === '--list') {
+    options.list = true;
+  } else if (arg === '--poll') {
+    options.poll = true;
+  } else if (arg === '--only' && i + 1 < args.length) {
+    options.only = args[++i];
+  } else if (arg === '--dry-run') {
+    options.dryRun = true;
+  } else if (arg === '--help') {
+    options.help = true;
+  }
+}
+
+// Show help
+if (options.help || args.length === 0) {
+  console.log(`
+Source Feed Subscription Manager
+
+Usage:
+  node manage-subscriptions.js [options]
+
+Options:
+  --add URL          Subscribe to an RSS/Atom feed
+  --title TITLE      Display name for the new subscription
+  --include a,b      Only process entries mentioning one of these keywords
+  --exclude a,b      Skip entries mentioning any of these keywords
+  --tags a,b         Tag the new subscription's episodes (to build digests by tag)
+  --max-items N      Maximum new episodes per poll for the new subscription
+  --skip-existing    Don't generate episodes for entries already in the feed
+  --remove ID|URL    Remove a subscription
+  --list             List all subscriptions
+  --poll             Poll all subscriptions and generate new episodes
+  --only ID          Poll a single subscription
+  --dry-run          Show what would be processed without generating audio
+  --help             Show this help
+
+Examples:
+  # Subscribe to a feed, only keeping articles about energy
+  node manage-subscriptions.js --add https://example.com/feed.xml --include energy,solar
+
+  # List subscriptions
+  node manage-subscriptions.js --list
+
+  # See what the next poll would pick up
+  node manage-subscriptions.js --poll --dry-run
+
+  # Poll all feeds and generate episodes
+  node manage-subscriptions.js --poll
+  `);
+  process.exit(0);
+}
+
+// Main function
+async function main() {
+  try {
+    // Add a subscription
+    if (options.add) {
+      const subscription = await addSubscription(options.add, {
+        title: options.title,
+        include: options.include,
+        exclude: options.exclude,
+        tags: options.tags,
+        maxItemsPerPoll: options.maxItems,
+        skipExisting: options.skipExisting
+      });
+
+      console.log(`\nAdded subscription ${subscription.id}: ${subscription.title}`);
+      return;
+    }
+
+    // Remove a subscription
+    if (options.remove) {
+      const removed = await removeSubscription(options.remove);
+      console.log(removed
+        ? `\nRemoved subscription ${removed.id}: ${removed.title}`
+        : `\nNo subscription found for ${options.remove}`);
+      return;
+    }
+
+    // List all subscriptions
+    if (options.list) {
+      const subscriptions = await loadSubscriptions();
+
+      console.log(`\nFound ${subscriptions.length} subscriptions:\n`);
+      subscriptions.forEach(subscription => {
+        console.log(`${subscription.id} ${subscription.enabled ? '' : '[disabled] '}${subscription.title}`);
+        console.log(`   ${subscription.feedUrl}`);
+        if (subscription.include.length > 0) console.log(`   Include: ${subscription.include.join(', ')}`);
+        if (subscription.exclude.length > 0) console.log(`   Exclude: ${subscription.exclude.join(', ')}`);
+        if (subscription.tags?.length > 0) console.log(`   Tags: ${subscription.tags.join(', ')}`);
+        console.log(`   Max items per poll: ${subscription.maxItemsPerPoll}`);
+        console.log(`   Last polled: ${subscription.lastPolled || 'never'}`);
+        if (subscription.lastError) console.log(`   Last error: ${subscription.lastError}`);
+        console.log('');
+      });
+
+      return;
+    }
+
+    // Poll subscriptions
+    if (options.poll) {
+      await ensureDirectoryExists(config.output.audioDir);
+      const processedArticles = await loadJsonFile(config.content.cacheFile, {});
+
+      const result = await pollSubscriptions(processedArticles, {
+        dryRun: options.dryRun,
+        subscriptionId: options.only,
+        onStatus: (message) => console.log(message)
+      });
+
+      console.log('\nPoll Results:');
+      console.log(`- Subscriptions polled: ${result.subscriptionsPolled}`);
+      console.log(`- ${result.dryRun ? 'Entries to process' : 'New episodes'}: ${result.episodes.length}`);
+      console.log(`- Entries skipped: ${result.skipped}`);
+      console.log(`- Failures: ${result.failures.length}`);
+      result.failures.forEach(failure => console.log(`  - ${failure.link}: ${failure.message}`));
+
+      if (result.dryRun) {
+        console.log('\nThis was a dry run - no episodes were generated.');
+        return;
+      }
+
+      // Regenerate feed and landing page if anything new was added
+      if (result.episodes.length > 0) {
+        const allEpisodes = buildEpisodeList(processedArticles);
+        await generatePodcastFeed(allEpisodes, {
+          feedTitle: config.podcast.title,
+          feedDescription: config.podcast.description,
+          feedSiteUrl: config.podcast.siteUrl,
+          author: { name: config.podcast.author },
+          outputFileName: 'feed.xml',
+          sortOrder: 'desc'
+        });
+        if (config.cloud.useCloudStorage) {
+          await createLandingPage(allEpisodes, await getCurrentMonthStats());
+        }
+        console.log(`Feed regenerated with ${allEpisodes.length} episodes`);
+      }
+
+      return;
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,255 @@
+/**
+ * MP3 assembly at the frame level
+ *
+ * Each TTS chunk is a complete MP3 file, possibly with its own ID3 tag and Xing/Info or VBRI
+ * header. Joining the files byte for byte leaves those headers in the middle of the audio, and
+ * players that trust the first one show the wrong duration and seek to the wrong place. Here
+ * the audio frames are taken out of each chunk, the per-chunk headers dropped, and a single
+ * Xing/Info header describing the whole file is written in front.
+ */
+
+// Layer III bitrates (kbps) by bitrate index
+const BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates (Hz) by sample rate index, for MPEG-1 (MPEG-2 is half, MPEG-2.5 a quarter)
+const SAMPLE_RATES = [44100, 48000, 32000];
+
+// Version bits of the frame header
+const MPEG_1 = 3;
+const MPEG_2 = 2;
+
+// Channel mode bits of the frame header
+const MONO = 3;
+
+// Xing header flags: frame count, byte count and seek table present
+const XING_FLAGS = 0x07;
+const XING_TOC_ENTRIES = 100;
+
+/**
+ * Parses an MPEG audio (Layer III) frame header
+ * @param {Buffer} buffer - The data
+ * @param {number} offset - Where the header starts
+ * @returns {Object|null} The header, or null if there isn't a valid one at offset
+ */
+export function parseFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = buffer[offset + 3] >> 6;
+  const bitrate = (version === MPEG_1 ? BITRATES.mpeg1 : BITRATES.mpeg2)[bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[sampleRateIndex] / (version === MPEG_1 ? 1 : version === MPEG_2 ? 2 : 4);
+  const samplesPerFrame = version === MPEG_1 ? 1152 : 576;
+
+  return {
+    version,
+    bitrateIndex,
+    sampleRateIndex,
+    channelMode,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    length: Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding
+  };
+}
+
+/**
+ * Finds the audio frames of an MP3 file, skipping ID3 tags and Xing/Info/VBRI header frames
+ * @param {Buffer} buffer - The MP3 file
+ * @returns {Array<Object>} The frames ({ offset, header })
+ */
+export function parseMp3Frames(buffer) {
+  const frames = [];
+  let offset = getId3v2Length(buffer);
+
+  while (offset + 4 <= buffer.length) {
+    const header = parseFrameHeader(buffer, offset);
+
+    // A real frame is followed by another frame (or the end of the data); otherwise resync
+    const end = header ? offset + header.length : 0;
+    if (!header || end > buffer.length || (end + 4 <= buffer.length && !parseFrameHeader(buffer, end) && !isTrailingTag(buffer, end))) {
+      offset++;
+      continue;
+    }
+
+    if (!isInfoFrame(buffer, offset, header)) frames.push({ offset, header });
+    offset = end;
+  }
+
+  return frames;
+}
+
+/**
+ * Joins MP3 files into one, with a single accurate Xing/Info header
+ * @param {Array<Buffer>} buffers - The MP3 files, in order
+ * @returns {Object} { audio: Buffer, duration: seconds, frameCount, offsets: start time of each file in seconds }
+ */
+export function concatenateMp3(buffers) {
+  const frameData = [];
+  let first = null;
+  let totalSamples = 0;
+  let variableBitrate = false;
+  const startSamples = [];
+
+  for (const buffer of buffers) {
+    startSamples.push(totalSamples);
+    for (const { offset, header } of parseMp3Frames(buffer)) {
+      if (!first) first = { buffer, offset, header };
+      if (header.bitrateIndex !== first.header.bitrateIndex) variableBitrate = true;
+      frameData.push(buffer.subarray(offset, offset + header.length));
+      totalSamples += header.samplesPerFrame;
+    }
+  }
+
+  if (!first) throw new Error('No MP3 audio frames found in the synthesized audio');
+
+  const infoFrame = buildInfoFrame(first.buffer.subarray(first.offset, first.offset + 4), first.header, frameData, variableBitrate);
+  return {
+    audio: Buffer.concat([infoFrame, ...frameData]),
+    duration: totalSamples / first.header.sampleRate,
+    frameCount: frameData.length,
+    offsets: startSamples.map(samples => samples / first.header.sampleRate)
+  };
+}
+
+/**
+ * Cuts the audio between two times out of an MP3 file
+ * Frames are kept if their middle falls between the times, so audio joined by concatenateMp3()
+ * comes apart exactly at the offsets it reported.
+ * @param {Buffer} buffer - The MP3 file
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @returns {Buffer} The audio frames (without tags or a Xing/Info header)
+ */
+export function sliceMp3(buffer, start, end) {
+  const kept = [];
+  let samples = 0;
+  for (const { offset, header } of parseMp3Frames(buffer)) {
+    const middle = (samples + header.samplesPerFrame / 2) / header.sampleRate;
+    if (middle >= start && middle < end) kept.push(buffer.subarray(offset, offset + header.length));
+    samples += header.samplesPerFrame;
+  }
+  return Buffer.concat(kept);
+}
+
+/**
+ * Measures the duration of an MP3 file by counting its frames
+ * @param {Buffer} buffer - The MP3 file
+ * @returns {number} The duration in seconds
+ */
+export function getMp3Duration(buffer) {
+  const frames = parseMp3Frames(buffer);
+  if (frames.length === 0) return 0;
+  return frames.reduce((total, frame) => total + frame.header.samplesPerFrame, 0) / frames[0].header.sampleRate;
+}
+
+/**
+ * Builds a Xing (VBR) or Info (CBR) header frame for the given audio frames
+ * The frame has the same format as the audio and decodes to silence.
+ * @param {Buffer} templateHeader - The 4 header bytes of the first audio frame
+ * @param {Object} header - The first audio frame's parsed header
+ * @param {Array<Buffer>} frames - The audio frames
+ * @param {boolean} variableBitrate - Whether the frames' bitrates differ
+ * @returns {Buffer} The header frame
+ */
+function buildInfoFrame(templateHeader, header, frames, variableBitrate) {
+  const tagOffset = 4 + getSideInfoLength(header);
+  const neededLength = tagOffset + 4 + 4 + 4 + 4 + XING_TOC_ENTRIES;
+
+  // The smallest bitrate whose frames are big enough to hold the header
+  const bitrates = header.version === MPEG_1 ? BITRATES.mpeg1 : BITRATES.mpeg2;
+  let bitrateIndex = 1;
+  let length = 0;
+  for (; bitrateIndex < bitrates.length; bitrateIndex++) {
+    length = Math.floor(header.samplesPerFrame / 8 * bitrates[bitrateIndex] * 1000 / header.sampleRate);
+    if (length >= neededLength) break;
+  }
+
+  const frame = Buffer.alloc(length);
+  frame[0] = 0xFF;
+  frame[1] = templateHeader[1] | 0x01; // No CRC
+  frame[2] = (bitrateIndex << 4) | (header.sampleRateIndex << 2); // No padding
+  frame[3] = templateHeader[3];
+
+  const audioBytes = frames.reduce((total, data) => total + data.length, 0);
+  const totalBytes = length + audioBytes;
+
+  frame.write(variableBitrate ? 'Xing' : 'Info', tagOffset, 'latin1');
+  frame.writeUInt32BE(XING_FLAGS, tagOffset + 4);
+  frame.writeUInt32BE(frames.length, tagOffset + 8);
+  frame.writeUInt32BE(totalBytes, tagOffset + 12);
+
+  // Seek table: where each percent of the duration starts, as a fraction of the file (0-255)
+  const frameOffsets = [];
+  let position = length;
+  for (const data of frames) {
+    frameOffsets.push(position);
+    position += data.length;
+  }
+  for (let i = 0; i < XING_TOC_ENTRIES; i++) {
+    const frameOffset = frameOffsets[Math.floor(i / XING_TOC_ENTRIES * frames.length)];
+    frame[tagOffset + 16 + i] = Math.min(255, Math.floor(frameOffset / totalBytes * 256));
+  }
+
+  return frame;
+}
+
+/**
+ * Checks if a frame is a Xing/Info or VBRI header rather than audio
+ * @param {Buffer} buffer - The data
+ * @param {number} offset - Where the frame starts
+ * @param {Object} header - The frame's parsed header
+ * @returns {boolean} True if it's a header frame
+ */
+function isInfoFrame(buffer, offset, header) {
+  const xingOffset = offset + 4 + getSideInfoLength(header);
+  const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+  const vbriTag = buffer.toString('latin1', offset + 36, offset + 40);
+  return xingTag === 'Xing' || xingTag === 'Info' || vbriTag === 'VBRI';
+}
+
+/**
+ * Gets the length of a Layer III frame's side information (which the Xing header follows)
+ * @param {Object} header - The frame's parsed header
+ * @returns {number} The length in bytes
+ */
+function getSideInfoLength(header) {
+  if (header.version === MPEG_1) return header.channelMode === MONO ? 17 : 32;
+  return header.channelMode === MONO ? 9 : 17;
+}
+
+/**
+ * Gets the length of the ID3v2 tag at the start of a file
+ * @param {Buffer} buffer - The file
+ * @returns {number} The tag length in bytes (0 if there is none)
+ */
+function getId3v2Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  // Size is "syncsafe": 7 bits per byte
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Checks if a tag (ID3v1 or APE) starts at offset, as found after the last frame
+ * @param {Buffer} buffer - The data
+ * @param {number} offset - The position
+ * @returns {boolean} True if a trailing tag starts there
+ */
+function isTrailingTag(buffer, offset) {
+  const marker = buffer.toString('latin1', offset, offset + 8);
+  return marker.startsWith('TAG') || marker === 'APETAGEX';
+}
@@ -0,0 +1,129 @@
+/**
+ * Multi-voice narration: who reads each part of an article
+ *
+ * Speech segments are given a speaker when they aren't the narrator's:
+ * - interview turns ("Q: ...", "A: ...", "Jane Smith: ...") get one speaker per label, and
+ *   unlabelled paragraphs after a turn continue it until the next heading
+ * - block quotes, and quotations of at least MIN_QUOTE_WORDS words inside paragraphs, are read
+ *   by the "quote" speaker (paragraphs are split around the quotation)
+ * Segments read by the narrator have no speaker. Each speaker is synthesized with its own voice
+ * (see selectSecondaryVoices in voice-policy.js).
+ */
+
+// Speaker of block quotes and inline quotations
+const QUOTE_SPEAKER = 'quote';
+
+// Shorter quotations ("so-called" terms, scare quotes) stay in the narrator's voice
+const MIN_QUOTE_WORDS = 8;
+
+// An interview needs at least this many turns, by at least two speakers
+const MIN_INTERVIEW_TURNS = 4;
+
+// "Label: text" at the start of a paragraph: Q/A or a name of up to three capitalized words
+const TURN_PATTERN = /^((?:\p{Lu}[\p{L}.'’-]*)(?: \p{Lu}[\p{L}.'’-]*){0,2}):\s+\S/u;
+
+// Labels that introduce notes rather than speakers
+const NON_SPEAKER_LABELS = new Set(['note', 'update', 'correction', 'photo', 'source', 'disclaimer', 'warning', 'tip', 'example']);
+
+// Question and answer labels, normalized
+const LABEL_ALIASES = { question: 'Q', answer: 'A' };
+
+// Quotations in curly or straight double quotes
+const QUOTATION_PATTERN = /“[^“”]+”|"[^"]+"/g;
+
+/**
+ * Assigns speakers to speech segments
+ * @param {Array<Object>} segments - The speech segments ({ type, text })
+ * @returns {Array<Object>} The segments, split around quotations, with a speaker for those not read by the narrator
+ */
+export function assignSpeakers(segments) {
+  const speakers = findInterviewSpeakers(segments);
+  const result = [];
+  let currentSpeaker = null;
+
+  for (const segment of segments) {
+    if (segment.type === 'heading') {
+      currentSpeaker = null;
+      result.push(segment);
+      continue;
+    }
+
+    if (segment.type === 'quote') {
+      result.push({ ...segment, speaker: QUOTE_SPEAKER });
+      continue;
+    }
+
+    // A labelled paragraph starts a turn, or ends one if the label isn't a speaker's ("Note: ...")
+    const label = getTurnLabel(segment.text);
+    if (label) currentSpeaker = speakers.has(label) ? `speaker:${label}` : null;
+    if (currentSpeaker && segment.type === 'paragraph') {
+      result.push({ ...segment, speaker: currentSpeaker });
+      continue;
+    }
+
+    result.push(...splitQuotations(segment));
+  }
+
+  return result;
+}
+
+/**
+ * Finds the speaker labels of an interview, if the article is one
+ * @param {Array<Object>} segments - The speech segments
+ * @returns {Set<string>} The labels (empty if the article isn't an interview)
+ */
+function findInterviewSpeakers(segments) {
+  const turns = new Map();
+  for (const segment of segments) {
+    if (segment.type !== 'paragraph') continue;
+    const label = getTurnLabel(segment.text);
+    if (label && !NON_SPEAKER_LABELS.has(label.toLowerCase())) turns.set(label, (turns.get(label) || 0) + 1);
+  }
+
+  // A label seen once is more likely a one-off ("Background: ...") than a speaker
+  const speakers = [...turns].filter(([, count]) => count >= 2);
+  const turnCount = speakers.reduce((total, [, count]) => total + count, 0);
+  return speakers.length >= 2 && turnCount >= MIN_INTERVIEW_TURNS
+    ? new Set(speakers.map(([label]) => label))
+    : new Set();
+}
+
+/**
+ * Gets the speaker label a paragraph starts with
+ * @param {string} text - The paragraph
+ * @returns {string|null} The normalized label, or null if there is none
+ */
+function getTurnLabel(text) {
+  const match = text.match(TURN_PATTERN);
+  if (!match) return null;
+
+  const label = match[1];
+  return LABEL_ALIASES[label.toLowerCase()] || label;
+}
+
+/**
+ * Splits a segment around its long quotations, which go to the quote speaker
+ * @param {Object} segment - The segment
+ * @returns {Array<Object>} The segment, or its pieces in order
+ */
+function splitQuotations(segment) {
+  const pieces = [];
+  let position = 0;
+
+  for (const match of segment.text.matchAll(QUOTATION_PATTERN)) {
+    if (match[0].split(/\s+/).length < MIN_QUOTE_WORDS) continue;
+
+    // Keep the closing punctuation after a quotation ("...," she said) with it
+    const end = match.index + match[0].length;
+    const trailing = segment.text.slice(end).match(/^[.,;:!?]*/)[0];
+    pieces.push({ ...segment, text: segment.text.slice(position, match.index) });
+    pieces.push({ ...segment, text: segment.text.slice(match.index, end + trailing.length), speaker: QUOTE_SPEAKER });
+    position = end + trailing.length;
+  }
+
+  if (pieces.length === 0) return [segment];
+  pieces.push({ ...segment, text: segment.text.slice(position) });
+  return pieces
+    .map(piece => ({ ...piece, text: piece.text.trim() }))
+    .filter(piece => piece.text);
+}
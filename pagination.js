@@ -0,0 +1,227 @@
+/**
+ * Multi-page article detection
+ *
+ * Finds the link to an article's next page (rel="next", or a link that differs from the
+ * current URL only by its page number, such as ?page=2 or /page/2) and, for paginated
+ * articles, a single-page alternative (print view, "view as one page" or AMP).
+ */
+import { getSiteHostname } from './url-normalizer.js';
+
+// Query parameters commonly used for the page number (not WordPress's ?p=, a post ID)
+const PAGE_PARAMS = ['page', 'pg', 'paged', 'pagenum', 'currentpage'];
+
+// Trailing /page/2 path segments
+const PAGE_PATH_PATTERN = /\/page\/(\d{1,2})\/?$/i;
+
+// Trailing /page/2 or bare /2 path segments: a bare number is often an ID rather than a page,
+// so it is only trusted on paginated URLs and pagination links
+const NUMBER_PATH_PATTERN = /\/(?:page\/)?(\d{1,2})\/?$/i;
+
+// Link text of pagination links ("Next", "Next page ›", "2")
+const PAGE_LINK_PATTERN = /^(?:next(?: page)?|page \d{1,2}|\d{1,2})(?: ?[›»→>])?$|^[›»→>]$/i;
+
+// Link text of "single page" / print alternatives
+const SINGLE_PAGE_LINK_PATTERN = /^(?:view (?:as )?(?:a )?(?:single|one) page|single[- ]page( view)?|print(?:er[- ]friendly)?(?: view| version| this article)?|view full article|read (?:the )?full (?:article|story) on one page)$/i;
+
+/**
+ * Finds the pagination links in an article page
+ * Must be called before Readability runs, as Readability removes navigation.
+ * @param {Document} document - The parsed HTML document
+ * @param {string} url - The page URL
+ * @returns {Object} The next page URL and a single-page alternative URL (either may be null)
+ */
+export function findPagination(document, url) {
+  let current;
+  try {
+    current = new URL(url);
+  } catch (error) {
+    return { nextPageUrl: null, singlePageUrl: null };
+  }
+
+  const nextPageUrl = findNextPageUrl(document, current);
+  const singlePageUrl = nextPageUrl ? findSinglePageUrl(document, current) : null;
+
+  return { nextPageUrl, singlePageUrl };
+}
+
+/**
+ * Removes text already seen on earlier pages (repeated headers, bylines, standfirsts)
+ * @param {string} text - The text of the new page
+ * @param {Array<string>} previousTexts - The text of the earlier pages
+ * @returns {string} The text with repeated content removed
+ */
+export function removeRepeatedContent(text, previousTexts) {
+  // Readability output often has few line breaks, so strip a repeated lead-in first
+  let result = text.trimStart();
+  const prefixLength = commonPrefixLength(result, previousTexts[0].trimStart());
+  if (prefixLength >= 40) {
+    result = result.substring(prefixLength);
+  }
+
+  const seenLines = new Set(
+    previousTexts.flatMap(previous => previous.split('\n'))
+      .map(line => line.trim())
+      .filter(line => line.length > 3)
+  );
+
+  return result.split('\n')
+    .filter(line => !seenLines.has(line.trim()))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Finds the next page link: rel="next" first, then links differing only by page number
+ * @param {Document} document - The parsed HTML document
+ * @param {URL} current - The current page URL
+ * @returns {string|null} The next page URL
+ */
+function findNextPageUrl(document, current) {
+  // WordPress also marks the link to the next post rel="next", so it must be this article's next page
+  const relNext = resolveSameSite(
+    document.querySelector('link[rel~="next"][href], a[rel~="next"][href]')?.getAttribute('href'),
+    current
+  );
+  if (relNext && (isNextPage(new URL(relNext), current, true) || isUnderPath(new URL(relNext), current))) {
+    return relNext;
+  }
+
+  const isPagedUrl = PAGE_PATH_PATTERN.test(current.pathname);
+  for (const anchor of document.querySelectorAll('a[href]')) {
+    const candidate = resolveSameSite(anchor.getAttribute('href'), current);
+    if (candidate && isNextPage(new URL(candidate), current, isPagedUrl || isPageLink(anchor))) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a URL is the page after the current one of the same article
+ * @param {URL} candidate - The linked URL
+ * @param {URL} current - The current page URL
+ * @param {boolean} allowBareNumber - Whether a trailing /N path segment counts as the page number
+ * @returns {boolean} True if only the page number differs, and it is one more
+ */
+function isNextPage(candidate, current, allowBareNumber) {
+  return getPageNumber(candidate, allowBareNumber) === (getPageNumber(current, allowBareNumber) || 1) + 1 &&
+    getArticleBase(candidate, allowBareNumber) === getArticleBase(current, allowBareNumber);
+}
+
+/**
+ * Checks whether a link is marked as pagination, by its rel or its text
+ * @param {Element} anchor - The link
+ * @returns {boolean} True for rel="next" links and "Next" or page-number links
+ */
+function isPageLink(anchor) {
+  const rel = (anchor.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+  return rel.includes('next') || PAGE_LINK_PATTERN.test(anchor.textContent.trim().replace(/\s+/g, ' '));
+}
+
+/**
+ * Checks whether a URL lives under the current page's path (as /story/ and /story/more/ do)
+ * @param {URL} candidate - The linked URL
+ * @param {URL} current - The current page URL
+ * @returns {boolean} True if the candidate's path extends the current one
+ */
+function isUnderPath(candidate, current) {
+  const currentPath = current.pathname.replace(/\/$/, '');
+  return currentPath !== '' && candidate.hostname === current.hostname &&
+    candidate.pathname.startsWith(`${currentPath}/`) && candidate.pathname.length > currentPath.length + 1;
+}
+
+/**
+ * Finds a single-page alternative: a print stylesheet alternate, a "view as one page"
+ * or print link, or the AMP version
+ * @param {Document} document - The parsed HTML document
+ * @param {URL} current - The current page URL
+ * @returns {string|null} The single-page URL
+ */
+function findSinglePageUrl(document, current) {
+  const printAlternate = document.querySelector('link[rel~="alternate"][media="print"][href]')?.getAttribute('href');
+  const singlePageLink = [...document.querySelectorAll('a[href]')]
+    .find(anchor => SINGLE_PAGE_LINK_PATTERN.test(anchor.textContent.trim().replace(/\s+/g, ' ')))
+    ?.getAttribute('href');
+  const ampLink = document.querySelector('link[rel~="amphtml"][href]')?.getAttribute('href');
+
+  for (const href of [printAlternate, singlePageLink, ampLink]) {
+    const resolved = resolveSameSite(href, current);
+    if (resolved) return resolved;
+  }
+
+  return null;
+}
+
+/**
+ * Gets the page number from a URL (?page=N or a trailing /page/N or /N path segment)
+ * @param {URL} url - The URL
+ * @param {boolean} allowBareNumber - Whether a trailing /N path segment counts as the page number
+ * @returns {number|null} The page number
+ */
+function getPageNumber(url, allowBareNumber) {
+  for (const [name, value] of url.searchParams) {
+    if (PAGE_PARAMS.includes(name.toLowerCase()) && /^\d{1,3}$/.test(value)) {
+      return parseInt(value, 10);
+    }
+  }
+
+  const match = url.pathname.match(allowBareNumber ? NUMBER_PATH_PATTERN : PAGE_PATH_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Gets the URL of the article with its page number removed, used to tell pages
+ * of the same article from links to other articles
+ * @param {URL} url - The URL
+ * @param {boolean} allowBareNumber - Whether a trailing /N path segment counts as the page number
+ * @returns {string} The host, path and query without the page number
+ */
+function getArticleBase(url, allowBareNumber) {
+  const params = [...url.searchParams]
+    .filter(([name]) => !PAGE_PARAMS.includes(name.toLowerCase()))
+    .map(([name, value]) => `${name}=${value}`)
+    .sort()
+    .join('&');
+  const pathname = url.pathname.replace(allowBareNumber ? NUMBER_PATH_PATTERN : PAGE_PATH_PATTERN, '').replace(/\/$/, '');
+
+  return `${url.hostname}${pathname}?${params}`;
+}
+
+/**
+ * Resolves a link against the page URL, keeping only http(s) links on the same site
+ * (the same hostname, ignoring prefixes such as www., m. and amp.; see url-normalizer.js)
+ * @param {string} href - The link
+ * @param {URL} current - The current page URL
+ * @returns {string|null} The absolute URL, or null if unusable
+ */
+function resolveSameSite(href, current) {
+  if (!href) return null;
+
+  let resolved;
+  try {
+    resolved = new URL(href, current);
+  } catch (error) {
+    return null;
+  }
+
+  resolved.hash = '';
+  if (!['http:', 'https:'].includes(resolved.protocol) || resolved.href === current.href) return null;
+
+  return getSiteHostname(resolved.hostname) === getSiteHostname(current.hostname) ? resolved.href : null;
+}
+
+/**
+ * Gets the length of the common prefix of two strings, ending at a word boundary
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} The prefix length
+ */
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+
+  if (length === a.length || length === b.length) return length;
+  const boundary = a.lastIndexOf(' ', length);
+  return boundary > 0 ? boundary : 0;
+}
@@ -0,0 +1,212 @@
+import { getDocument, PDFDateString, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Lines that look like page numbers ("12", "- 12 -", "Page 3 of 10")
+const PAGE_NUMBER_PATTERN = /^(page\s*)?[-–—\s]*\d{1,4}[-–—\s]*(\s*(of|\/)\s*\d{1,4})?$/i;
+
+// Metadata titles produced by authoring tools rather than by a human
+const PLACEHOLDER_TITLE_PATTERN = /^(untitled|microsoft word|document\d*$|.*\.(docx?|pptx?|indd|pdf)$)/i;
+
+/**
+ * Checks whether a fetched response is a PDF document
+ * @param {string} contentType - The Content-Type header of the response
+ * @param {Buffer} data - The raw response body
+ * @returns {boolean} True if the response is a PDF
+ */
+export function isPdfResponse(contentType, data) {
+  if (contentType && contentType.toLowerCase().includes('application/pdf')) return true;
+  return data.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Extracts readable text from a PDF document
+ * Uses the PDF text layer, strips running headers/footers and page numbers,
+ * repairs words hyphenated across line breaks and rebuilds paragraphs.
+ * @param {Buffer} data - The raw PDF bytes
+ * @param {string} url - The URL the PDF was fetched from
+ * @returns {Promise<Object>} The extracted data (title, text, description, metadata)
+ */
+export async function extractPdfContent(data, url) {
+  const pdf = await getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    console.log(`Extracting text from PDF with ${pdf.numPages} pages: ${url}`);
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      pages.push(groupItemsIntoLines(textContent.items));
+      page.cleanup();
+    }
+
+    const repeatedLines = findRepeatedEdgeLines(pages);
+    const bodyPages = pages.map(pageLines => pageLines.filter(line =>
+      !PAGE_NUMBER_PATTERN.test(line.text) && !repeatedLines.has(normalizeEdgeLine(line.text))
+    ));
+
+    const paragraphs = buildParagraphs(bodyPages.flat());
+    const text = paragraphs.join('\n\n');
+
+    let info = {};
+    try {
+      ({ info = {} } = await pdf.getMetadata());
+    } catch (error) {
+      console.warn(`Could not read PDF metadata: ${error.message}`);
+    }
+
+    const metadataTitle = (info.Title || '').trim();
+    const title = isUsableTitle(metadataTitle)
+      ? metadataTitle
+      : findHeadingTitle(bodyPages[0] || []) || 'Untitled Document';
+
+    const firstParagraph = paragraphs.find(paragraph => paragraph !== title) || '';
+    const description = firstParagraph.length > 200
+      ? firstParagraph.substring(0, 200) + '...'
+      : firstParagraph;
+
+    const publishedDate = PDFDateString.toDateObject(info.CreationDate);
+    const metadata = {};
+    if (info.Author && info.Author.trim()) metadata.author = info.Author.trim();
+    if (publishedDate) metadata.publishedDate = publishedDate.toISOString();
+    if (info.Language) metadata.language = info.Language;
+
+    return { title, text, description, metadata };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Groups positioned text items into lines, top to bottom
+ * @param {Array} items - Text items from pdf.js getTextContent()
+ * @returns {Array<Object>} Lines with text, vertical position and font height
+ */
+function groupItemsIntoLines(items) {
+  const lines = [];
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) continue;
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const height = item.height || Math.abs(item.transform[3]) || 0;
+
+    // Items within half a line height of each other belong to the same line
+    const line = lines.find(candidate => Math.abs(candidate.y - y) < Math.max(2, height / 2));
+    if (line) {
+      line.items.push({ x, str: item.str });
+      line.height = Math.max(line.height, height);
+    } else {
+      lines.push({ y, height, items: [{ x, str: item.str }] });
+    }
+  }
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => ({
+      y: line.y,
+      height: line.height,
+      text: line.items
+        .sort((a, b) => a.x - b.x)
+        .map(item => item.str)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    }));
+}
+
+/**
+ * Normalizes a header/footer line so "Report 2025 | 3" and "Report 2025 | 4" match
+ * @param {string} text - Line text
+ * @returns {string} Normalized text
+ */
+function normalizeEdgeLine(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds lines repeated at the top or bottom of most pages (running headers/footers)
+ * @param {Array<Array<Object>>} pages - Lines for each page
+ * @returns {Set<string>} Normalized text of the repeated lines
+ */
+function findRepeatedEdgeLines(pages) {
+  const repeated = new Set();
+  if (pages.length < 2) return repeated;
+
+  const counts = new Map();
+  for (const lines of pages) {
+    const edgeLines = new Set([...lines.slice(0, 2), ...lines.slice(-2)].map(line => normalizeEdgeLine(line.text)));
+    for (const text of edgeLines) {
+      counts.set(text, (counts.get(text) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(2, Math.ceil(pages.length / 2));
+  for (const [text, count] of counts) {
+    if (count >= threshold) repeated.add(text);
+  }
+
+  return repeated;
+}
+
+/**
+ * Joins lines into paragraphs, repairing hyphenated line breaks
+ * A paragraph ends when the vertical gap to the next line is noticeably
+ * larger than the line height, or the font size changes (headings).
+ * @param {Array<Object>} lines - Lines in reading order
+ * @returns {Array<string>} Paragraph texts
+ */
+function buildParagraphs(lines) {
+  const paragraphs = [];
+  let current = '';
+  let previous = null;
+
+  for (const line of lines) {
+    const text = line.text.replace(/\u00AD/g, '');
+    const isNewParagraph = !previous ||
+      line.y > previous.y || // new page
+      (previous.y - line.y) > Math.max(previous.height, line.height) * 1.8 ||
+      Math.abs(previous.height - line.height) > 1;
+
+    if (isNewParagraph) {
+      if (current) paragraphs.push(current);
+      current = text;
+    } else if (/[A-Za-z]-$/.test(current) && /^[a-z]/.test(text)) {
+      // Word hyphenated across the line break
+      current = current.slice(0, -1) + text;
+    } else {
+      current += ' ' + text;
+    }
+
+    previous = line;
+  }
+
+  if (current) paragraphs.push(current);
+  return paragraphs;
+}
+
+/**
+ * Checks whether a PDF metadata title is worth using
+ * @param {string} title - Title from the PDF info dictionary
+ * @returns {boolean} True if the title looks human-written
+ */
+function isUsableTitle(title) {
+  return title.length > 3 && !PLACEHOLDER_TITLE_PATTERN.test(title);
+}
+
+/**
+ * Picks the first heading of the document: the largest text near the top of page one
+ * @param {Array<Object>} firstPage - Body lines of the first page
+ * @returns {string} The heading text, or an empty string
+ */
+function findHeadingTitle(firstPage) {
+  if (firstPage.length === 0) return '';
+
+  const largest = firstPage.slice(0, 10).reduce((best, line) => line.height > best.height ? line : best);
+  return largest.text.substring(0, 200);
+}
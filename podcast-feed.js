@@ -5,6 +5,12 @@ import { config } from './config.js';
 import { formatDate, getFileSize, estimateAudioDuration } from './utils.js';
 import { saveToCloudStorage } from './cloud-storage.js';
 
+const ITUNES_NAMESPACE = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+const PODCAST_NAMESPACE = 'https://podcastindex.org/namespace/1.0';
+
+// Transcript formats stored next to the audio, by MIME type for <podcast:transcript>
+const TRANSCRIPT_TYPES = { vtt: 'text/vtt', srt: 'application/x-subrip' };
+
 // Default podcast feed options that can be overridden by the caller
 const DEFAULT_FEED_OPTIONS = {
   feedTitle: 'RSS Feed', feedDescription: 'Generated feed of content',
@@ -78,38 +84,23 @@ export async function generatePodcastFeed(items, customOptions = {}) {
   
   console.log(`Sorted items by date, ${options.sortOrder === 'desc' ? 'newest' : 'oldest'} first`);
   
-  // Add normalized items to the feed
-  sortedItems.forEach(item => feed.addItem(normalizeItemData(item, options)));
-
-  // Generate the RSS feed XML and check if all items are included
+  // The feed library only renders the channel: it drops per-item extension tags
+  // (itunes:author, itunes:image, ...), so items are always rendered by generateItemXml
   const baseRssOutput = feed.rss2({ indent: true });
-  console.log(`Feed has ${feed.items.length} items to include in the XML`);
-  
-  // Check if all items are included or we need custom XML generation
-  let rssOutput = baseRssOutput;
-  const itemCount = baseRssOutput.match(/<item>/g)?.length || 0;
-  
-  if (itemCount !== feed.items.length) {
-    console.log(`WARNING: Feed library only included ${itemCount} items instead of ${feed.items.length}!`);
-    console.log('Using custom XML generation to include all items...');
-    
-    // Extract the channel part and manually add all items
-    const itemStart = baseRssOutput.indexOf('<item>');
-    
-    // Build a complete XML with all items
-    rssOutput = baseRssOutput.substring(0, itemStart);
-    
-    // Add all items manually
-    sortedItems.forEach(item => {
-      rssOutput += generateItemXml(normalizeItemData(item, options), options);
-    });
-    
-    // Add the closing tags
-    rssOutput += '\n    </channel>\n</rss>';
-    console.log(`Custom RSS feed generation completed with ${sortedItems.length} items.`);
-  } else {
-    console.log('Feed library included all items correctly.');
-  }
+  const channelEnd = baseRssOutput.lastIndexOf('</channel>');
+  
+  let rssOutput = baseRssOutput
+    .substring(0, channelEnd)
+    .trimEnd()
+    .replace('<rss version="2.0"', `<rss version="2.0" xmlns:itunes="${ITUNES_NAMESPACE}" xmlns:podcast="${PODCAST_NAMESPACE}"`);
+  
+  sortedItems.forEach(item => {
+    rssOutput += generateItemXml(normalizeItemData(item, options), options);
+  });
+  
+  // Add the closing tags
+  rssOutput += '\n    </channel>\n</rss>';
+  console.log(`RSS feed generated with ${sortedItems.length} items.`);
   
   // Save to storage or local file
   if (config.cloud.useCloudStorage) {
@@ -136,10 +127,19 @@ function normalizeItemData(item, options) {
   // Extract common fields with fallbacks
   const title = item.title || 'Untitled';
   const link = item.link || item.url || '';
-  const description = item.description || item.summary || item.contentSnippet || title;
+  let description = item.description || item.summary || item.contentSnippet || title;
   const content = item.content || item.fullContent || description;
   const pubDate = item.pubDate || item.date || item.isoDate || new Date().toISOString();
   
+  // Credit the original source: author, publisher and original publish date
+  const authorName = typeof item.author === 'string' ? item.author : null;
+  const sourceLine = formatSourceLine(authorName, item.siteName, item.publishedDate);
+  if (sourceLine) description = `${description}\n\n${sourceLine}`;
+  
+  // Point summaries and full episodes of the same article at each other
+  if (item.fullEpisodeTitle) description = `${description}\n\nFull episode: ${item.fullEpisodeTitle}`;
+  if (item.summaryTitle) description = `${description}\n\nShort on time? Summary episode: ${item.summaryTitle}`;
+  
   // Handle media files and duration
   let fileUrl, fileSize, duration;
   if (content) duration = item.duration || estimateAudioDuration(content);
@@ -147,13 +147,14 @@ function normalizeItemData(item, options) {
   // Handle different media path structures
   if (item.audioPath || item.mediaPath || item.enclosure?.url) {
     fileUrl = item.audioPath || item.mediaPath || item.enclosure?.url;
-    fileSize = item.enclosure?.size || (content && !item.fileSize ? Math.round(content.length * 1.5) : item.fileSize || 0);
+    fileSize = item.enclosure?.size || item.fileSize || (content ? Math.round(content.length * 1.5) : 0);
   }
   
   // Create the normalized item
   const normalizedItem = {
     title, id: item.id || link, link, description, content,
-    author: item.author ? (Array.isArray(item.author) ? item.author : [item.author]) : 
+    author: authorName ? [{ name: authorName }] :
+            item.author ? (Array.isArray(item.author) ? item.author : [item.author]) : 
             [{ name: options.author.name, link: options.author.link }],
     contributor: item.contributor || [],
     date: new Date(pubDate)
@@ -170,12 +171,31 @@ function normalizeItemData(item, options) {
     };
   }
   
+  // Podcasting 2.0 chapters file, served next to the audio
+  if (item.chaptersPath) {
+    normalizedItem.chaptersUrl = config.cloud.useCloudStorage ? item.chaptersPath :
+                                 `${options.feedSiteUrl}/audio/${path.basename(item.chaptersPath)}`;
+  }
+  
+  // Timed transcripts, served next to the audio
+  if (item.transcripts) {
+    normalizedItem.transcripts = Object.entries(TRANSCRIPT_TYPES)
+      .filter(([format]) => item.transcripts[format])
+      .map(([format, type]) => ({
+        url: config.cloud.useCloudStorage ? item.transcripts[format] :
+             `${options.feedSiteUrl}/audio/${path.basename(item.transcripts[format])}`,
+        type
+      }));
+  }
+  
   // Add iTunes specific tags for podcasts
   normalizedItem.custom = {
-    'itunes:author': options.author.name,
+    'itunes:author': authorName || options.author.name,
     'itunes:summary': description,
     'itunes:explicit': options.itunesExplicit,
-    ...(duration && { 'itunes:duration': formatDuration(duration) })
+    ...(duration && { 'itunes:duration': formatDuration(duration) }),
+    ...(item.episodeType === 'summary' && { 'itunes:episodeType': 'bonus' }),
+    ...(item.imageUrl && { 'itunes:image': { _attr: { href: item.imageUrl } } })
   };
   
   return normalizedItem;
@@ -192,15 +212,25 @@ function generateItemXml(item, options) {
   let xml = `
         <item>
             <title><![CDATA[${item.title}]]></title>
-            <link>${item.link}</link>
-            <guid isPermaLink="false">${item.id || item.link}</guid>
+            <link>${escapeXml(item.link)}</link>
+            <guid isPermaLink="false">${escapeXml(item.id || item.link)}</guid>
             <pubDate>${pubDate}</pubDate>
             <description><![CDATA[${item.description}]]></description>`;
   
   // Add enclosure if present
   if (item.enclosure) {
     xml += `
-            <enclosure url="${item.enclosure.url}" length="${item.enclosure.size}" type="${item.enclosure.type}"/>`;
+            <enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.size}" type="${item.enclosure.type}"/>`;
+  }
+  
+  if (item.chaptersUrl) {
+    xml += `
+            <podcast:chapters url="${escapeXml(item.chaptersUrl)}" type="application/json+chapters"/>`;
+  }
+  
+  for (const transcript of item.transcripts || []) {
+    xml += `
+            <podcast:transcript url="${escapeXml(transcript.url)}" type="${transcript.type}" language="${escapeXml(options.feedLanguage || config.podcast.language)}" rel="captions"/>`;
   }
   
   // Add iTunes tags for podcasts
@@ -209,7 +239,13 @@ function generateItemXml(item, options) {
       if (value && typeof value === 'string') {
         xml += key === 'itunes:summary' 
           ? `\n            <${key}><![CDATA[${value}]]></${key}>`
-          : `\n            <${key}>${value}</${key}>`;
+          : `\n            <${key}>${escapeXml(value)}</${key}>`;
+      } else if (value && value._attr) {
+        // Attribute-only tags, e.g. <itunes:image href="..."/>
+        const attributes = Object.entries(value._attr)
+          .map(([name, attrValue]) => `${name}="${escapeXml(attrValue)}"`)
+          .join(' ');
+        xml += `\n            <${key} ${attributes}/>`;
       }
     }
   }
@@ -232,3 +268,33 @@ function formatDuration(seconds) {
     ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
     : `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
+
+/**
+ * Builds the "originally published" credit line for an item
+ * @param {string} author - Original author
+ * @param {string} siteName - Original publisher
+ * @param {string} publishedDate - Original publish date (ISO)
+ * @returns {string} The credit line, or an empty string if nothing is known
+ */
+function formatSourceLine(author, siteName, publishedDate) {
+  const parts = [];
+  if (author) parts.push(`by ${author}`);
+  if (siteName) parts.push(`in ${siteName}`);
+  if (publishedDate) {
+    parts.push(`on ${new Date(publishedDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`);
+  }
+  return parts.length > 0 ? `Originally published ${parts.join(' ')}.` : '';
+}
+
+/**
+ * Escapes a string for use in XML text or attributes
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
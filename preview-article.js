@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * CLI tool for previewing the text extracted from an article
+ *
+ * Usage:
+ *   node preview-article.js <url> [options]
+ *
+ * Options:
+ *   --no-rule       Only show the extraction without the site rule
+ *   --rule-only     Only show the extraction with the site rule
+ *   --max-chars N   Truncate printed text to N characters (0 = print everything)
+ *   --help          Show this help
+ */
+
+import { extractArticleContent } from './article-parser.js';
+import { loadSiteRules, findSiteRule } from './site-rules.js';
+import { describeCleanupReport } from './text-cleanup.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  url: null,
+  withRule: true,
+  withoutRule: true,
+  maxChars: 0,
+  help: false
+};
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  if (arg === '--no-rule') {
+    options.withRule = false;
+  } else if (arg === '--rule-only') {
+    options.withoutRule = false;
+  } else if (arg === '--max-chars' && i + 1 < args.length) {
+    options.maxChars = parseInt(args[++i], 10);
+  } else if (arg === '--help') {
+    options.help = true;
+  } else if (!arg.startsWith('--')) {
+    options.url = arg;
+  }
+}
+
+// Show help
+if (options.help || !options.url) {
+  console.log(`
+Article Extraction Preview
+
+Usage:
+  node preview-article.js <url> [options]
+
+Options:
+  --no-rule       Only show the extraction without the site rule
+  --rule-only     Only show the extraction with the site rule
+  --max-chars N   Truncate printed text to N characters (0 = print everything)
+  --help          Show this help
+
+Site rules are read from site-rules.json (see site-rules.js for the format).
+Boilerplate removed from the text is listed by cleanup step (see text-cleanup.js).
+
+Examples:
+  # Compare extraction with and without the site rule
+  node preview-article.js https://example.com/article
+
+  # Check a new rule, printing only the start of the text
+  node preview-article.js https://example.com/article --rule-only --max-chars 2000
+  `);
+  process.exit(0);
+}
+
+/**
+ * Prints one extraction result
+ * @param {string} label - Heading for the output
+ * @param {Object} article - The extracted article
+ */
+function printExtraction(label, article) {
+  const text = options.maxChars > 0 && article.content.length > options.maxChars
+    ? article.content.substring(0, options.maxChars) + `\n[... ${article.content.length - options.maxChars} more characters]`
+    : article.content;
+
+  console.log(`\n===== ${label} =====`);
+  console.log(`Title: ${article.title}`);
+  console.log(`Length: ${article.content.length} characters`);
+  console.log(article.quality.ok
+    ? `Quality: OK (${article.quality.wordCount} words, language: ${article.quality.language || 'unknown'})`
+    : `Quality: ${article.quality.code} - ${article.quality.message}`);
+  console.log(`Cleanup: ${describeCleanupReport(article.cleanup)}`);
+  for (const [name, { examples }] of Object.entries(article.cleanup.steps)) {
+    console.log(`  ${name}: ${examples.map(example => JSON.stringify(example)).join(', ')}`);
+  }
+  console.log('');
+  console.log(text);
+}
+
+// Main function
+async function main() {
+  try {
+    const rule = findSiteRule(options.url, await loadSiteRules());
+
+    if (rule) {
+      const { hostname, ...selectors } = rule;
+      console.log(`Site rule for ${hostname}: ${JSON.stringify(selectors)}`);
+    } else {
+      console.log('No site rule matches this URL.');
+    }
+
+    if (options.withoutRule) {
+      printExtraction('Without site rule', await extractArticleContent(options.url, { useSiteRules: false, checkQuality: false }));
+    }
+
+    if (options.withRule && rule) {
+      printExtraction('With site rule', await extractArticleContent(options.url, { useSiteRules: true, checkQuality: false }));
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
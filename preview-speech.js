@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * CLI tool for previewing the text of an article as it will be sent to the TTS provider,
+ * after the pronunciation lexicon and built-in normalization rules (see speech-normalizer.js)
+ *
+ * Usage:
+ *   node preview-speech.js <url> [options]
+ *
+ * Options:
+ *   --ssml          Show the SSML sent to voices that support it, instead of plain text
+ *   --changes       Only list what the lexicon changed, with how often
+ *   --max-chars N   Truncate printed text to N characters (0 = print everything)
+ *   --help          Show this help
+ */
+
+import { processArticle } from './article-parser.js';
+import { buildSpeechSegments, segmentToText, segmentToSsml } from './ssml-builder.js';
+import { loadLexicon, normalizeSpeech, normalizeToText } from './speech-normalizer.js';
+import { config } from './config.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  url: null,
+  ssml: false,
+  changesOnly: false,
+  maxChars: 0,
+  help: false
+};
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  if (arg === '--ssml') {
+    options.ssml = true;
+  } else if (arg === '--changes') {
+    options.changesOnly = true;
+  } else if (arg === '--max-chars' && i + 1 < args.length) {
+    options.maxChars = parseInt(args[++i], 10);
+  } else if (arg === '--help') {
+    options.help = true;
+  } else if (!arg.startsWith('--')) {
+    options.url = arg;
+  }
+}
+
+// Show help
+if (options.help || !options.url) {
+  console.log(`
+Speech Normalization Preview
+
+Usage:
+  node preview-speech.js <url> [options]
+
+Options:
+  --ssml          Show the SSML sent to voices that support it, instead of plain text
+  --changes       Only list what the lexicon changed, with how often
+  --max-chars N   Truncate printed text to N characters (0 = print everything)
+  --help          Show this help
+
+The lexicon is read from lexicon.json (see speech-normalizer.js for the format).
+Set TTS_BUILTIN_NORMALIZATION=false to see the text without the built-in rules.
+
+Examples:
+  # Check how an article will be read
+  node preview-speech.js https://example.com/article --max-chars 3000
+
+  # List the terms the lexicon rewrites, to check a new entry
+  node preview-speech.js https://example.com/article --changes
+  `);
+  process.exit(0);
+}
+
+/**
+ * Lists what the lexicon changed in the segments, most frequent first
+ * @param {Array<Object>} segments - The speech segments
+ * @param {Object} lexicon - The lexicon from loadLexicon()
+ */
+function printChanges(segments, lexicon) {
+  const counts = new Map();
+  for (const segment of segments) {
+    for (const piece of normalizeSpeech(segment.text, lexicon)) {
+      if (piece.original === undefined) continue;
+      const change = piece.markup
+        ? `${piece.original} -> <${piece.markup.tag}> (plain text: ${piece.plain})`
+        : `${piece.original} -> ${piece.text}`;
+      counts.set(change, (counts.get(change) || 0) + 1);
+    }
+  }
+
+  if (counts.size === 0) {
+    console.log('\nThe lexicon changes nothing in this article.');
+    return;
+  }
+
+  console.log(`\n===== ${counts.size} changes =====`);
+  for (const [change, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+    console.log(`${String(count).padStart(4)}x  ${change}`);
+  }
+}
+
+// Main function
+async function main() {
+  try {
+    const article = await processArticle(options.url, { checkQuality: false });
+    const lexicon = await loadLexicon(article.link);
+    const segments = buildSpeechSegments(article.content, article.blocks);
+
+    console.log(`Title: ${article.title}`);
+    console.log(`Lexicon: ${lexicon.rules.length} rules${lexicon.hostname ? ` (with the entries for ${lexicon.hostname})` : ''}` +
+      `${config.tts.builtInNormalization ? '' : ', built-in rules off'}`);
+
+    if (options.changesOnly) {
+      printChanges(segments, lexicon);
+      return;
+    }
+
+    const speech = options.ssml
+      ? segments.map(segment => segmentToSsml(segment, lexicon)).join('\n')
+      : segments.map(segment => normalizeToText(segmentToText(segment), lexicon)).join('\n\n');
+    const text = options.maxChars > 0 && speech.length > options.maxChars
+      ? speech.substring(0, options.maxChars) + `\n[... ${speech.length - options.maxChars} more characters]`
+      : speech;
+
+    console.log(`\n===== ${options.ssml ? 'SSML' : 'Text'} sent to the TTS provider =====`);
+    console.log(text);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -30,10 +30,11 @@ export async function applyRetentionPolicy(options = {}) {
   const processedArticles = await loadJsonFile(config.content.cacheFile, {});
   
   // Convert to array for easier processing
-  const articles = Object.entries(processedArticles).map(([link, info]) => {
+  // Keyed by cache key: pasted content has a "pasted:" key and keeps its own link
+  const articles = Object.entries(processedArticles).map(([key, info]) => {
     return {
-      link,
       ...info,
+      key,
       processedDate: new Date(info.processedDate || new Date())
     };
   });
@@ -62,7 +63,7 @@ export async function applyRetentionPolicy(options = {}) {
   });
   
   // Identify articles to remove
-  const toRemove = articles.filter(article => !toKeep.some(keep => keep.link === article.link));
+  const toRemove = articles.filter(article => !toKeep.some(keep => keep.key === article.key));
   
   // Stats for reporting
   const stats = {
@@ -80,11 +81,7 @@ export async function applyRetentionPolicy(options = {}) {
     // Create new processed articles object with only the items to keep
     const newProcessedArticles = {};
     toKeep.forEach(article => {
-      newProcessedArticles[article.link] = {
-        title: article.title,
-        processedDate: article.processedDate.toISOString(),
-        audioPath: article.audioPath
-      };
+      newProcessedArticles[article.key] = processedArticles[article.key];
     });
     
     // Delete audio files if requested
@@ -109,6 +106,7 @@ export async function applyRetentionPolicy(options = {}) {
           } catch (error) {
             console.error(`Failed to delete audio file for "${article.title}": ${error.message}`);
           }
+          await deleteCompanionFiles(article);
         }
       }
     }
@@ -179,6 +177,7 @@ export async function removeSpecificArticles(urls, options = {}) {
           } catch (error) {
             console.error(`Failed to delete audio file for "${processedArticles[url].title}": ${error.message}`);
           }
+          await deleteCompanionFiles(processedArticles[url]);
         }
         
         // Remove from processed articles
@@ -200,3 +199,24 @@ export async function removeSpecificArticles(urls, options = {}) {
   
   return stats;
 }
+
+/**
+ * Deletes the files stored next to an episode's audio (chapters and transcripts), if it has any
+ * @param {Object} article - The processed article entry
+ */
+async function deleteCompanionFiles(article) {
+  const filePaths = [article.chaptersPath, article.transcripts?.vtt, article.transcripts?.srt].filter(Boolean);
+
+  for (const filePath of filePaths) {
+    try {
+      const filename = path.basename(filePath);
+      if (config.cloud.useCloudStorage) {
+        await deleteFromCloudStorage(filename, 'audio');
+      } else {
+        await fs.unlink(path.join(config.output.audioDir, filename));
+      }
+    } catch (error) {
+      console.error(`Failed to delete ${path.basename(filePath)} for "${article.title}": ${error.message}`);
+    }
+  }
+}
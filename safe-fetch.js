@@ -0,0 +1,252 @@
+/**
+ * Hardened HTTP fetching for user-supplied URLs
+ *
+ * The function is public and unauthenticated, so every URL it fetches is untrusted:
+ * - only http(s) URLs are fetched
+ * - hostnames must resolve to public addresses (no private, loopback, link-local or cloud
+ *   metadata addresses), checked at connect time so redirects and DNS rebinding are covered
+ * - redirects are followed manually, re-checking each hop
+ * - responses are capped at config.fetch.maxResponseBytes and can be limited to content types
+ * - 429 and 5xx responses (and dropped connections) are retried with backoff, honoring Retry-After
+ */
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { config } from './config.js';
+import { getBackoffDelay, sleep } from './utils.js';
+
+// Statuses worth retrying
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Addresses that must never be fetched
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Checks if an IP address is private, loopback, link-local, metadata or otherwise non-public
+ * @param {string} address - The IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+export function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const type = net.isIP(address);
+  if (!type) return true;
+  return BLOCKED_ADDRESSES.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup that refuses non-public addresses, used by the HTTP agents for every connection
+ * @param {string} hostname - The hostname
+ * @param {Object} options - Lookup options from the socket
+ * @param {Function} callback - Callback (error, address, family) or (error, addresses)
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = config.fetch.allowPrivateAddresses
+      ? null
+      : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const blockedError = new Error(`Refusing to fetch ${hostname}: it resolves to a private or reserved address (${blocked.address})`);
+      blockedError.code = 'BLOCKED_ADDRESS';
+      return callback(blockedError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Fetches a URL safely
+ * @param {string} url - The URL
+ * @param {Object} [options] - Fetch options
+ * @param {Object} [options.headers] - Request headers
+ * @param {Array<string>} [options.allowedContentTypes] - Accepted media types (any if omitted)
+ * @param {number} [options.maxBytes] - Max response size (defaults to config.fetch.maxResponseBytes)
+ * @returns {Promise<Object>} The response body (Buffer), content type, status and final URL after redirects
+ */
+export async function safeFetch(url, options = {}) {
+  const { headers = {}, allowedContentTypes = null, maxBytes = config.fetch.maxResponseBytes } = options;
+
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const target = validateUrl(currentUrl);
+    const response = await requestWithRetries(target, headers, maxBytes);
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      if (redirects >= config.fetch.maxRedirects) {
+        throw new Error(`Too many redirects fetching ${url}`);
+      }
+      currentUrl = new URL(response.headers.location, target).href;
+      continue;
+    }
+
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    if (allowedContentTypes && mediaType && !allowedContentTypes.includes(mediaType)) {
+      const error = new Error(`Unsupported content type "${mediaType}" at ${currentUrl}`);
+      error.code = 'UNSUPPORTED_CONTENT_TYPE';
+      throw error;
+    }
+
+    return {
+      data: Buffer.from(response.data),
+      contentType,
+      status: response.status,
+      url: target.href
+    };
+  }
+}
+
+/**
+ * Decodes a response body using the charset from the Content-Type header, a byte order mark,
+ * or a <meta charset> / XML declaration in the document, falling back to UTF-8
+ * @param {Buffer} data - The response body
+ * @param {string} contentType - The Content-Type header
+ * @returns {string} The decoded text
+ */
+export function decodeBody(data, contentType = '') {
+  let charset = contentType.match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1];
+
+  if (!charset) {
+    if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) charset = 'utf-8';
+    else if (data[0] === 0xFF && data[1] === 0xFE) charset = 'utf-16le';
+    else if (data[0] === 0xFE && data[1] === 0xFF) charset = 'utf-16be';
+  }
+
+  if (!charset) {
+    const head = data.subarray(0, 4096).toString('latin1');
+    charset = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i)?.[1] ||
+      head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i)?.[1];
+  }
+
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(data);
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(data);
+  }
+}
+
+/**
+ * Checks a URL's scheme and port before fetching it
+ * @param {string} url - The URL
+ * @returns {URL} The parsed URL
+ */
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Only http and https URLs can be fetched (got ${parsed.protocol})`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('URLs with embedded credentials are not allowed');
+  }
+
+  // Literal IPs are checked here too, as they skip the DNS lookup
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host) && !config.fetch.allowPrivateAddresses) {
+    const error = new Error(`Refusing to fetch ${parsed.hostname}: it is a private or reserved address`);
+    error.code = 'BLOCKED_ADDRESS';
+    throw error;
+  }
+
+  return parsed;
+}
+
+/**
+ * Makes one request (without following redirects), retrying 429/5xx and dropped connections
+ * @param {URL} target - The URL
+ * @param {Object} headers - Request headers
+ * @param {number} maxBytes - Max response size
+ * @returns {Promise<Object>} The axios response (any status)
+ */
+async function requestWithRetries(target, headers, maxBytes) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await axios.get(target.href, {
+        headers,
+        responseType: 'arraybuffer',
+        timeout: config.fetch.timeout,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        validateStatus: () => true,
+        httpAgent,
+        httpsAgent,
+        proxy: false
+      });
+    } catch (error) {
+      if (error.message.includes('maxContentLength')) {
+        throw new Error(`Response from ${target.hostname} exceeds the ${maxBytes} byte limit`);
+      }
+      if (attempt >= config.fetch.maxRetries || !RETRY_ERROR_CODES.includes(error.code)) throw error;
+
+      const delay = getBackoffDelay(attempt);
+      console.warn(`Fetching ${target.href} failed (${error.code}), retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!RETRY_STATUSES.includes(response.status) || attempt >= config.fetch.maxRetries) {
+      return response;
+    }
+
+    const delay = getRetryAfterDelay(response.headers['retry-after']) ?? getBackoffDelay(attempt);
+    if (delay > config.fetch.maxRetryDelayMs) {
+      // The server asked us to wait longer than we're willing to: fail now
+      return response;
+    }
+    console.warn(`Fetching ${target.href} returned ${response.status}, retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Parses a Retry-After header (seconds, or an HTTP date)
+ * @param {string} value - The header value
+ * @returns {number|null} The delay in milliseconds, or null if absent/invalid
+ */
+function getRetryAfterDelay(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+}
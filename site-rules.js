@@ -0,0 +1,122 @@
+/**
+ * Per-domain extraction rules for sites Readability gets wrong
+ *
+ * Rules are keyed by hostname and loaded from a JSON file (config.content.siteRulesFile),
+ * so new rules can be added without touching code:
+ *
+ * {
+ *   "example.com": {
+ *     "contentSelector": "article .story-body",
+ *     "removeSelectors": [".cookie-banner", ".related-articles"],
+ *     "titleSelector": "h1.headline",
+ *     "stripPatterns": ["^Sign up for our newsletter.*$"],
+ *     "voice": "en-GB-Chirp3-HD-Charon"
+ *   }
+ * }
+ *
+ * A rule for "example.com" also applies to subdomains such as "www.example.com".
+ */
+import { loadJsonFile } from './utils.js';
+import { config } from './config.js';
+
+/**
+ * Loads the site rules registry
+ * @returns {Promise<Object>} Rules keyed by hostname
+ */
+export async function loadSiteRules() {
+  return loadJsonFile(config.content.siteRulesFile, {});
+}
+
+/**
+ * Finds the rule for a URL, matching the hostname or any parent domain
+ * @param {string} url - The article URL
+ * @param {Object} rules - Rules keyed by hostname
+ * @returns {Object|null} The rule (with its hostname), or null if none applies
+ */
+export function findSiteRule(url, rules) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  // Try the full hostname, then each parent domain (but never a bare TLD)
+  const parts = hostname.split('.');
+  for (let i = 0; i < Math.max(1, parts.length - 1); i++) {
+    const candidate = parts.slice(i).join('.');
+    if (rules[candidate]) {
+      return { hostname: candidate, ...rules[candidate] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Removes the rule's unwanted elements from the document (before Readability runs)
+ * @param {Document} document - The parsed HTML document
+ * @param {Object} rule - The site rule
+ * @returns {number} Number of elements removed
+ */
+export function removeUnwantedElements(document, rule) {
+  let removed = 0;
+
+  for (const selector of rule.removeSelectors || []) {
+    try {
+      document.querySelectorAll(selector).forEach(element => {
+        element.remove();
+        removed++;
+      });
+    } catch (error) {
+      console.warn(`Invalid removeSelectors entry "${selector}" for ${rule.hostname}: ${error.message}`);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Selects the article body and title using the rule's selectors (instead of Readability)
+ * @param {Document} document - The parsed HTML document
+ * @param {Object} rule - The site rule
+ * @returns {Object} The body HTML and title, either of which may be empty
+ */
+export function selectRuleContent(document, rule) {
+  const result = { html: '', title: '' };
+
+  try {
+    if (rule.contentSelector) {
+      const elements = [...document.querySelectorAll(rule.contentSelector)];
+      result.html = elements.map(element => element.innerHTML).join('\n');
+    }
+    if (rule.titleSelector) {
+      result.title = document.querySelector(rule.titleSelector)?.textContent?.trim() || '';
+    }
+  } catch (error) {
+    console.warn(`Invalid selector in site rule for ${rule.hostname}: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Strips text matching the rule's patterns from extracted text
+ * Patterns are regular expressions applied line by line (multiline mode).
+ * @param {string} text - The extracted text
+ * @param {Object} rule - The site rule
+ * @returns {string} The cleaned text
+ */
+export function stripRulePatterns(text, rule) {
+  let result = text;
+
+  for (const pattern of rule.stripPatterns || []) {
+    try {
+      result = result.replace(new RegExp(pattern, 'gim'), '');
+    } catch (error) {
+      console.warn(`Invalid stripPatterns entry "${pattern}" for ${rule.hostname}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,350 @@
+/**
+ * Pronunciation lexicon and text normalization for TTS
+ *
+ * Text is normalized as each chunk is sent to the TTS provider, so transcripts and chapters keep
+ * the article's own wording. A lexicon is a list of rules applied in order; text a rule has
+ * replaced is not touched by later rules. The rules for an article are, in order:
+ * 1. the entries for its domain in the lexicon file (config.tts.lexiconFile)
+ * 2. the lexicon file's other entries
+ * 3. the built-in rules, unless turned off: units ("5 kWh", "tCO2e", "°C"), chemical formulae,
+ *    currency amounts ("$5bn"), year ranges and four-digit quantities, spelled-out acronyms
+ *    ("IPCC", "ESG"), "COP28" and "Scope 3"
+ *
+ * The lexicon file is JSON (stored in the bucket when using Cloud Storage):
+ *
+ * {
+ *   "entries": [
+ *     { "match": "tCO2e", "replace": "tonnes of carbon dioxide equivalent" },
+ *     { "pattern": "\\bNet[- ]Zero\\b", "flags": "i", "replace": "net zero" },
+ *     { "match": "IPCC", "sub": "I P C C" },
+ *     { "match": "ESG", "sayAs": "characters" },
+ *     { "match": "Ørsted", "phoneme": "ˈɶɐ̯sd̥ɛð", "plain": "ersted" }
+ *   ],
+ *   "domains": {
+ *     "example.com": { "entries": [{ "match": "COP", "replace": "Conference of the Parties" }] }
+ *   }
+ * }
+ *
+ * "match" is a whole word or phrase (case-sensitive unless "ignoreCase" is set) and "pattern" a
+ * regular expression, whose groups can be used in "replace" as $1, $2... "sub", "sayAs" (with an
+ * optional "format") and "phoneme" (with an optional "alphabet", "ipa" by default) become SSML
+ * <sub>, <say-as> and <phoneme> tags; voices without SSML get the alias, the spelled-out letters
+ * for "characters", or the entry's "plain" text. Domains match subdomains as site rules do.
+ */
+import { loadJsonFile } from './utils.js';
+import { config } from './config.js';
+import { findSiteRule } from './site-rules.js';
+
+// Not a letter or digit on either side: a whole word
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+// A number as written in articles: "5", "1,200", "1.5"
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+
+// Units, as [singular, plural]. Units that are also ordinary words are only expanded after a number.
+const UNITS = {
+  Wh: ['watt hour', 'watt hours'],
+  kWh: ['kilowatt hour', 'kilowatt hours'],
+  MWh: ['megawatt hour', 'megawatt hours'],
+  GWh: ['gigawatt hour', 'gigawatt hours'],
+  TWh: ['terawatt hour', 'terawatt hours'],
+  kW: ['kilowatt', 'kilowatts'],
+  MW: ['megawatt', 'megawatts'],
+  GW: ['gigawatt', 'gigawatts'],
+  TW: ['terawatt', 'terawatts'],
+  kWp: ['kilowatt peak', 'kilowatts peak'],
+  MWp: ['megawatt peak', 'megawatts peak'],
+  GWp: ['gigawatt peak', 'gigawatts peak'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  'ºC': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  ppm: ['part per million', 'parts per million'],
+  ppb: ['part per billion', 'parts per billion'],
+  ha: ['hectare', 'hectares']
+};
+const NUMBER_ONLY_UNITS = new Set(['ha', 'Wh']);
+
+// Chemical formulae, read letter by letter (subscript digits are matched too)
+const FORMULAE = {
+  CO2e: 'C O 2 equivalent',
+  CO2: 'C O 2',
+  CH4: 'C H 4',
+  N2O: 'N 2 O',
+  NO2: 'N O 2',
+  NOx: 'N O x',
+  SO2: 'S O 2',
+  SF6: 'S F 6',
+  HFCs: 'H F Cs',
+  'PM2.5': 'P M 2.5',
+  PM10: 'P M 10'
+};
+
+// Masses of greenhouse gas: "tCO2e", "MtCO2", "kgCO2e"...
+const MASSES = { t: 'tonne', kt: 'kilotonne', Mt: 'megatonne', Gt: 'gigatonne', kg: 'kilogram', g: 'gram' };
+const GASES = { CO2e: FORMULAE.CO2e, CO2: FORMULAE.CO2 };
+for (const [mass, massName] of Object.entries(MASSES)) {
+  for (const [gas, gasName] of Object.entries(GASES)) {
+    UNITS[`${mass}${gas}`] = [`${massName} of ${gasName}`, `${massName}s of ${gasName}`];
+  }
+}
+
+// Currency amounts with a magnitude ("$5bn", "£1.2 million"); smaller amounts are read well already
+const CURRENCIES = {
+  'US$': 'US dollars',
+  'A$': 'Australian dollars',
+  'C$': 'Canadian dollars',
+  $: 'dollars',
+  '£': 'pounds',
+  '€': 'euros',
+  '¥': 'yen'
+};
+const MAGNITUDES = { k: 'thousand', thousand: 'thousand', m: 'million', million: 'million', bn: 'billion', billion: 'billion', tn: 'trillion', trillion: 'trillion' };
+
+// Counted nouns: a four-digit number before one is a quantity ("2030 tonnes"), not a year ("in 2030")
+const QUANTITY_WORDS = [
+  'tonnes', 'tons', 'people', 'homes', 'households', 'hectares', 'acres', 'jobs', 'trees', 'species',
+  'companies', 'firms', 'sites', 'turbines', 'panels', 'vehicles', 'cars', 'buses', 'workers', 'employees',
+  'miles', 'kilometres', 'kilometers', 'metres', 'meters', 'litres', 'liters', 'gallons', 'barrels',
+  'dollars', 'pounds', 'euros', 'kilowatts', 'megawatts', 'gigawatts'
+];
+
+// Acronyms that are spelled out rather than read as a word
+const SPELLED_ACRONYMS = [
+  'IPCC', 'ESG', 'GHG', 'UNFCCC', 'UNEP', 'IEA', 'EV', 'EVs', 'CCS', 'CCUS', 'LNG', 'CSRD', 'TCFD',
+  'ISSB', 'SDG', 'SDGs', 'CDP', 'LCA', 'PPA', 'PPAs', 'NGO', 'NGOs', 'DAC', 'EU', 'UN'
+];
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three'];
+
+/**
+ * Loads the lexicon for an article: its domain's entries, the general entries and the built-in rules
+ * @param {string} [url] - The article URL, for the domain entries
+ * @returns {Promise<Object>} The lexicon ({ rules, hostname })
+ */
+export async function loadLexicon(url) {
+  const file = await loadJsonFile(config.tts.lexiconFile, {});
+  const domainLexicon = url && file.domains ? findSiteRule(url, file.domains) : null;
+
+  const rules = [
+    ...compileEntries(domainLexicon?.entries, `lexicon entry for ${domainLexicon?.hostname}`),
+    ...compileEntries(file.entries, 'lexicon entry'),
+    ...(config.tts.builtInNormalization ? BUILT_IN_RULES : [])
+  ];
+  return { rules, hostname: domainLexicon?.hostname || null };
+}
+
+/**
+ * Normalizes text for speech
+ * Pieces the lexicon changed have the text they replaced as "original"; pieces with SSML markup
+ * also have the "plain" text for voices without SSML.
+ * @param {string} text - The text
+ * @param {Object} lexicon - The lexicon from loadLexicon()
+ * @returns {Array<Object>} The pieces of the text, in order ({ text, original?, markup?: { tag, attributes }, plain? })
+ */
+export function normalizeSpeech(text, lexicon) {
+  let pieces = [{ text }];
+  for (const rule of lexicon.rules) {
+    pieces = pieces.flatMap(piece => piece.original === undefined ? applyRule(piece.text, rule) : [piece]);
+  }
+  return pieces;
+}
+
+/**
+ * Normalizes text for voices without SSML support
+ * @param {string} text - The text
+ * @param {Object} lexicon - The lexicon from loadLexicon()
+ * @returns {string} The text to synthesize
+ */
+export function normalizeToText(text, lexicon) {
+  return normalizeSpeech(text, lexicon).map(piece => piece.plain ?? piece.text).join('');
+}
+
+/**
+ * Applies one rule to a piece of text
+ * @param {string} text - The text (not yet changed by any rule)
+ * @param {Object} rule - The rule ({ regex, render })
+ * @returns {Array<Object>} The pieces
+ */
+function applyRule(text, rule) {
+  const pieces = [];
+  let position = 0;
+
+  for (const match of text.matchAll(rule.regex)) {
+    if (!match[0]) continue;
+    const replacement = rule.render(match);
+    if (!replacement) continue;
+    if (match.index > position) pieces.push({ text: text.slice(position, match.index) });
+    pieces.push({ ...replacement, original: match[0] });
+    position = match.index + match[0].length;
+  }
+
+  if (pieces.length === 0) return [{ text }];
+  if (position < text.length) pieces.push({ text: text.slice(position) });
+  return pieces;
+}
+
+/**
+ * Compiles lexicon file entries into rules, skipping (with a warning) those that are invalid
+ * @param {Array<Object>} [entries] - The entries
+ * @param {string} label - What the entries are, for warnings
+ * @returns {Array<Object>} The rules ({ regex, render })
+ */
+function compileEntries(entries, label) {
+  if (!Array.isArray(entries)) return [];
+
+  return entries.flatMap(entry => {
+    try {
+      return [compileEntry(entry)];
+    } catch (error) {
+      console.warn(`Ignoring ${label} ${JSON.stringify(entry)}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * Compiles one lexicon file entry into a rule
+ * @param {Object} entry - The entry ({ match|pattern, flags, ignoreCase, replace|sub|sayAs|phoneme, format, alphabet, plain })
+ * @returns {Object} The rule ({ regex, render })
+ */
+function compileEntry(entry) {
+  let regex;
+  if (typeof entry.match === 'string' && entry.match) {
+    regex = new RegExp(`${WORD_START}${escapeRegExp(entry.match)}${WORD_END}`, entry.ignoreCase ? 'giu' : 'gu');
+  } else if (typeof entry.pattern === 'string' && entry.pattern) {
+    const flags = new Set(`${entry.flags || ''}gu`);
+    regex = new RegExp(entry.pattern, [...flags].join(''));
+  } else {
+    throw new Error('needs a "match" or "pattern"');
+  }
+
+  if (typeof entry.replace === 'string') {
+    // $& is the match and $1, $2... its groups, as in String.replace
+    return {
+      regex,
+      render: match => ({ text: entry.replace.replace(/\$(&|\d+)/g, (token, group) => group === '&' ? match[0] : match[Number(group)] ?? '') })
+    };
+  }
+  if (typeof entry.sub === 'string') {
+    return { regex, render: match => ({ text: match[0], markup: { tag: 'sub', attributes: { alias: entry.sub } }, plain: entry.sub }) };
+  }
+  if (typeof entry.sayAs === 'string') {
+    const attributes = { 'interpret-as': entry.sayAs, ...(entry.format ? { format: entry.format } : {}) };
+    return {
+      regex,
+      render: match => ({
+        text: match[0],
+        markup: { tag: 'say-as', attributes },
+        plain: entry.plain ?? (entry.sayAs === 'characters' ? spellOut(match[0]) : match[0])
+      })
+    };
+  }
+  if (typeof entry.phoneme === 'string') {
+    const attributes = { alphabet: entry.alphabet || 'ipa', ph: entry.phoneme };
+    return { regex, render: match => ({ text: match[0], markup: { tag: 'phoneme', attributes }, plain: entry.plain ?? match[0] }) };
+  }
+  throw new Error('needs a "replace", "sub", "sayAs" or "phoneme"');
+}
+
+/**
+ * Builds the built-in rules
+ * @returns {Array<Object>} The rules ({ regex, render }), in the order they apply
+ */
+function buildBuiltInRules() {
+  const alternation = words => words.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const formulae = Object.entries(FORMULAE).flatMap(([formula, spoken]) => [[formula, spoken], [toSubscript(formula), spoken]]);
+  const formulaNames = new Map(formulae);
+
+  return [
+    // Units after a number ("5 kWh"), after "per" or "/" ("per kWh"), or on their own
+    {
+      regex: new RegExp(`(?:${WORD_START}(${NUMBER})\\s?|(\\bper\\s+|/)|${WORD_START})(${alternation(Object.keys(UNITS))})${WORD_END}`, 'gu'),
+      render: match => {
+        const [singular, plural] = UNITS[match[3]];
+        if (match[1]) return { text: `${formatQuantity(match[1])} ${match[1] === '1' ? singular : plural}` };
+        if (match[2]) return { text: `${match[2] === '/' ? ' per ' : match[2]}${singular}` };
+        return NUMBER_ONLY_UNITS.has(match[3]) ? null : { text: plural };
+      }
+    },
+    // Chemical formulae
+    {
+      regex: new RegExp(`${WORD_START}(${alternation([...formulaNames.keys()])})${WORD_END}`, 'gu'),
+      render: match => ({ text: formulaNames.get(match[1]) })
+    },
+    // Currency amounts with a magnitude: "$5bn" is "5 billion dollars"
+    {
+      regex: new RegExp(`(${alternation(Object.keys(CURRENCIES))})\\s?(${NUMBER})\\s?(${alternation(Object.keys(MAGNITUDES))})${WORD_END}`, 'gu'),
+      render: match => ({ text: `${match[2]} ${MAGNITUDES[match[3]]} ${CURRENCIES[match[1]]}` })
+    },
+    // Year ranges: "2020-30" is "2020 to 2030"
+    {
+      regex: new RegExp(`${WORD_START}((?:1[6-9]|20)\\d\\d)\\s?[-–]\\s?((?:1[6-9]|20)?\\d\\d)${WORD_END}`, 'gu'),
+      render: match => {
+        const end = match[2].length === 2 ? match[1].slice(0, 2) + match[2] : match[2];
+        return Number(end) > Number(match[1]) ? { text: `${match[1]} to ${end}` } : null;
+      }
+    },
+    // Four-digit quantities, which would otherwise be read as years: "2030 tonnes" is "2,030 tonnes"
+    {
+      regex: new RegExp(`(?<![\\p{L}\\p{N},.])\\d{4}(?=\\s+(?:${QUANTITY_WORDS.join('|')})${WORD_END})`, 'gu'),
+      render: match => ({ text: formatQuantity(match[0]) })
+    },
+    // Acronyms that are spelled out
+    {
+      regex: new RegExp(`${WORD_START}(${alternation([...SPELLED_ACRONYMS])})${WORD_END}`, 'gu'),
+      render: match => ({ text: spellOut(match[1]) })
+    },
+    // UN climate conferences: "COP28" is read as a word and a number, not "C O P 28" (a COP
+    // without a number may be a heat pump's coefficient of performance)
+    {
+      regex: new RegExp(`${WORD_START}COP\\s?(\\d+)${WORD_END}`, 'gu'),
+      render: match => ({ text: `cop ${match[1]}` })
+    },
+    // Emission scopes: "Scope 3", "Scopes 1, 2 and 3"
+    {
+      regex: new RegExp(`\\b(Scopes?|scopes?)\\s+([1-3](?:(?:\\s*,\\s*|\\s+(?:and|or)\\s+|\\s*&\\s*)[1-3])*)${WORD_END}`, 'gu'),
+      render: match => ({
+        text: `${match[1]} ${match[2].replace(/&/g, 'and').replace(/[1-3]/g, digit => NUMBER_WORDS[digit])}`
+      })
+    }
+  ];
+}
+
+const BUILT_IN_RULES = buildBuiltInRules();
+
+/**
+ * Writes a four-digit whole number with a thousands separator, so it isn't read as a year
+ * @param {string} number - The number as written
+ * @returns {string} The number
+ */
+function formatQuantity(number) {
+  return /^\d{4}$/.test(number) ? `${number[0]},${number.slice(1)}` : number;
+}
+
+/**
+ * Spells out the capital letters of an acronym, keeping lower-case endings ("EVs" is "E Vs")
+ * @param {string} text - The acronym
+ * @returns {string} The letters separated by spaces
+ */
+function spellOut(text) {
+  return text.match(/\p{Lu}\p{Ll}*|\P{Lu}/gu).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Writes the digits of a formula as subscripts ("CO2" is "CO₂")
+ * @param {string} formula - The formula
+ * @returns {string} The formula with subscript digits
+ */
+function toSubscript(formula) {
+  return formula.replace(/\d/g, digit => String.fromCharCode(0x2080 + Number(digit)));
+}
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,190 @@
+/**
+ * SSML generation for natural pacing
+ *
+ * The article text is split into paragraphs and each paragraph is matched back to its block
+ * (see article-structure.js) to know whether it is a heading, list item, quote, figure or paragraph.
+ * Headings get emphasis and pauses around them, list items a short pause, quotes and figures
+ * (tables, captions) pauses around them, paragraphs <p>.
+ * Chunks are built from whole segments, so a chunk never ends inside a tag, and are rendered
+ * to SSML only when sent, so a rejected chunk can be split again by segment. Rendering applies
+ * the pronunciation lexicon (see speech-normalizer.js).
+ */
+import { config } from './config.js';
+import { normalizeBlockText } from './article-structure.js';
+import { byteLength, splitTextIntoChunks, splitInHalf } from './text-chunker.js';
+import { normalizeSpeech } from './speech-normalizer.js';
+
+// Google TTS rejects requests over 5000 bytes of input (the default when no provider limit is given)
+const MAX_REQUEST_BYTES = 5000;
+
+// Pauses, as SSML <break> times
+const PAUSES = {
+  beforeHeading: '800ms',
+  afterHeading: '500ms',
+  afterListItem: '300ms',
+  aroundQuote: '400ms',
+  aroundFigure: '600ms'
+};
+
+/**
+ * Checks if SSML should be sent for a voice
+ * Voices that only accept plain text (such as Google's Chirp HD voices) get the plain-text rendering instead.
+ * @param {Object} voiceConfig - The voice configuration
+ * @param {Object} provider - The TTS provider (see tts-provider.js)
+ * @returns {boolean} True if SSML should be sent for this voice
+ */
+export function supportsSsml(voiceConfig, provider) {
+  return config.tts.useSsml && provider.supportsSsml(voiceConfig);
+}
+
+/**
+ * Splits article text into speech segments, typed using the article's blocks
+ * @param {string} text - The article text (paragraphs separated by blank lines)
+ * @param {Array<Object>} [blocks] - The article blocks from extractBlocks()
+ * @returns {Array<Object>} Segments ({ type, text })
+ */
+export function buildSpeechSegments(text, blocks = []) {
+  const typesByText = new Map(blocks.map(block => [normalizeBlockText(block.text), block.type]));
+
+  return text.split(/\n\s*\n/)
+    .map(paragraph => normalizeBlockText(paragraph))
+    .filter(Boolean)
+    .map(paragraph => ({ type: typesByText.get(paragraph) || 'paragraph', text: paragraph }));
+}
+
+/**
+ * Escapes text for use inside SSML
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+export function escapeSsml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders one segment as SSML
+ * @param {Object} segment - The segment ({ type, text })
+ * @param {Object} [lexicon] - The pronunciation lexicon (see speech-normalizer.js)
+ * @returns {string} The SSML fragment
+ */
+export function segmentToSsml(segment, lexicon) {
+  const text = lexicon
+    ? normalizeSpeech(segment.text, lexicon).map(pieceToSsml).join('')
+    : escapeSsml(segment.text);
+
+  switch (segment.type) {
+    case 'heading':
+      return `<break time="${PAUSES.beforeHeading}"/><emphasis level="moderate">${text}</emphasis><break time="${PAUSES.afterHeading}"/>`;
+    case 'listItem':
+      return `<s>${text}</s><break time="${PAUSES.afterListItem}"/>`;
+    case 'quote':
+      return `<break time="${PAUSES.aroundQuote}"/><p>${text}</p><break time="${PAUSES.aroundQuote}"/>`;
+    case 'figure':
+      return `<break time="${PAUSES.aroundFigure}"/><p>${text}</p><break time="${PAUSES.aroundFigure}"/>`;
+    default:
+      return `<p>${text}</p>`;
+  }
+}
+
+/**
+ * Renders one segment as plain text for voices without SSML support
+ * Headings and list items are given closing punctuation so they are read as separate sentences.
+ * @param {Object} segment - The segment ({ type, text })
+ * @returns {string} The text
+ */
+export function segmentToText(segment) {
+  if ((segment.type === 'heading' || segment.type === 'listItem') && !/[.!?:;]$/.test(segment.text)) {
+    return `${segment.text}.`;
+  }
+  return segment.text;
+}
+
+/**
+ * Renders segments as one SSML document
+ * @param {Array<Object>} segments - The segments
+ * @param {Object} [lexicon] - The pronunciation lexicon (see speech-normalizer.js)
+ * @returns {string} The SSML, wrapped in <speak>
+ */
+export function renderSsml(segments, lexicon) {
+  return `<speak>${segments.map(segment => segmentToSsml(segment, lexicon)).join('')}</speak>`;
+}
+
+/**
+ * Packs segments into SSML requests of at most 5000 bytes (as rendered by renderSsml)
+ * Segments too long for one request are split at sentence (or word) boundaries first,
+ * so no chunk ends inside a tag.
+ * @param {Array<Object>} segments - The segments
+ * @param {number} [maxBytes] - Max bytes per request
+ * @param {Object} [lexicon] - The pronunciation lexicon the segments will be rendered with
+ * @returns {Array<Array<Object>>} The segments of each request
+ */
+export function splitSegmentsIntoSsmlChunks(segments, maxBytes = MAX_REQUEST_BYTES, lexicon) {
+  const wrapperBytes = byteLength('<speak></speak>');
+  // Leave room for the segment's tags and for escaping growing the text
+  const maxTextBytes = Math.floor((maxBytes - wrapperBytes - 200) / 1.5);
+
+  const chunks = [];
+  let current = [];
+  let currentBytes = wrapperBytes;
+
+  for (const segment of segments.flatMap(segment => splitLongSegment(segment, maxTextBytes))) {
+    const segmentBytes = byteLength(segmentToSsml(segment, lexicon));
+    if (current.length && currentBytes + segmentBytes > maxBytes) {
+      chunks.push(current);
+      current = [];
+      currentBytes = wrapperBytes;
+    }
+    current.push(segment);
+    currentBytes += segmentBytes;
+  }
+
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Splits an SSML request's segments into two smaller requests
+ * Used when the TTS API rejects a request as too long.
+ * @param {Array<Object>} segments - The segments of the request
+ * @returns {Array<Array<Object>>} Two lists of segments, or just the input if it can't be split
+ */
+export function splitSegmentsInHalf(segments) {
+  if (segments.length > 1) {
+    const half = Math.ceil(segments.length / 2);
+    return [segments.slice(0, half), segments.slice(half)];
+  }
+
+  const [segment] = segments;
+  const pieces = splitInHalf(segment.text);
+  if (pieces.length < 2) return [segments];
+  return pieces.map(text => [{ ...segment, text }]);
+}
+
+/**
+ * Renders a piece of normalized text as SSML
+ * @param {Object} piece - The piece, from normalizeSpeech()
+ * @returns {string} The SSML
+ */
+function pieceToSsml(piece) {
+  if (!piece.markup) return escapeSsml(piece.text);
+
+  const { tag, attributes } = piece.markup;
+  const attributeText = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeSsml(value)}"`).join('');
+  return `<${tag}${attributeText}>${escapeSsml(piece.text)}</${tag}>`;
+}
+
+/**
+ * Splits a segment whose text is over maxBytes into several segments of the same type
+ * @param {Object} segment - The segment
+ * @param {number} maxBytes - Max bytes of text per segment
+ * @returns {Array<Object>} The segments
+ */
+function splitLongSegment(segment, maxBytes) {
+  if (byteLength(segment.text) <= maxBytes) return [segment];
+  return splitTextIntoChunks(segment.text, maxBytes).map(text => ({ ...segment, text }));
+}
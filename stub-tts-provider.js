@@ -0,0 +1,48 @@
+/**
+ * Stub text-to-speech provider: silent MP3 audio as long as the text would take to read
+ * (see tts-provider.js for the provider interface)
+ *
+ * The output only depends on the input, so runs are repeatable, and nothing is installed or
+ * called. Use it to try the whole pipeline (feeds, chunking, caching) offline.
+ */
+
+// Silence is made of MPEG-1 Layer III frames: 32 kbps, 44.1 kHz, mono, no CRC. With all-zero
+// side info each frame decodes to 1152 samples of silence.
+const FRAME_HEADER = Buffer.from([0xFF, 0xFB, 0x10, 0xC0]);
+const FRAME_BYTES = 104; // 144 * 32000 / 44100, rounded down (no padding)
+const FRAME_SECONDS = 1152 / 44100;
+
+// Reading speed used for the length of the silence
+const WORDS_PER_SECOND = 2.5;
+
+const SILENT_FRAME = Buffer.concat([FRAME_HEADER, Buffer.alloc(FRAME_BYTES - FRAME_HEADER.length)]);
+
+/**
+ * Creates the stub TTS provider
+ * @returns {Object} The provider
+ */
+export function createStubProvider() {
+  return {
+    name: 'stub',
+    maxRequestBytes: 5000,
+    supportedEncodings: ['MP3'],
+    voiceTiers: { free: { freeCharsPerMonth: 0, pricePerChar: 0 } },
+    getVoiceTier: () => 'free',
+
+    supportsSsml: () => true,
+
+    async listVoices(languageCode) {
+      return [{ name: 'stub-silent', languageCode, ssmlGender: 'NEUTRAL' }];
+    },
+
+    async synthesize({ input, isSsml, audioConfig }) {
+      const text = isSsml ? input.replace(/<[^>]+>/g, ' ') : input;
+      const words = text.split(/\s+/).filter(Boolean).length;
+      const seconds = words / WORDS_PER_SECOND / (audioConfig.speakingRate || 1);
+      const frames = Math.max(1, Math.round(seconds / FRAME_SECONDS));
+      return Buffer.concat(Array(frames).fill(SILENT_FRAME));
+    },
+
+    isTransientError: () => false
+  };
+}
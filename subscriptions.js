@@ -0,0 +1,354 @@
+/**
+ * Source feed subscriptions: RSS/Atom feeds polled for new articles
+ */
+import { JSDOM } from 'jsdom';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config.js';
+import { loadJsonFile, saveJsonFile } from './utils.js';
+import { safeFetch, decodeBody } from './safe-fetch.js';
+import { generateEpisode, isArticleProcessed } from './episode-generator.js';
+import { trackUsage, logProcessingEvent } from './usage-tracker.js';
+
+// Media types accepted for feeds (many servers send feeds as text/html or text/plain)
+const FEED_CONTENT_TYPES = [
+  'application/rss+xml', 'application/atom+xml', 'application/xml', 'text/xml',
+  'application/rdf+xml', 'text/html', 'text/plain', 'application/octet-stream'
+];
+
+// Content-quality failures that are not retried on later polls
+const PERMANENT_FAILURE_CODES = ['PAYWALL', 'CONTENT_TOO_SHORT', 'MOSTLY_NAVIGATION', 'WRONG_LANGUAGE'];
+
+/**
+ * Loads the stored list of subscriptions
+ * @returns {Promise<Array<Object>>} The subscriptions
+ */
+export async function loadSubscriptions() {
+  const data = await loadJsonFile(config.subscriptions.file, { subscriptions: [] });
+  return data.subscriptions || [];
+}
+
+/**
+ * Saves the list of subscriptions
+ * @param {Array<Object>} subscriptions - The subscriptions to save
+ */
+async function saveSubscriptions(subscriptions) {
+  await saveJsonFile(config.subscriptions.file, { subscriptions });
+}
+
+/**
+ * Subscribes to a source RSS/Atom feed
+ * @param {string} feedUrl - The feed URL
+ * @param {Object} options - Subscription options
+ * @param {string} options.title - Display name (defaults to the feed title)
+ * @param {Array<string>} options.include - Only process entries mentioning one of these keywords
+ * @param {Array<string>} options.exclude - Skip entries mentioning any of these keywords
+ * @param {number} options.maxItemsPerPoll - Maximum new episodes per poll
+ * @param {Array<string>} options.tags - Tags given to the subscription's episodes (for digests)
+ * @param {boolean} options.skipExisting - Mark the entries currently in the feed as already seen
+ * @returns {Promise<Object>} The new subscription
+ */
+export async function addSubscription(feedUrl, options = {}) {
+  const subscriptions = await loadSubscriptions();
+  if (subscriptions.some(subscription => subscription.feedUrl === feedUrl)) {
+    throw new Error(`Already subscribed to ${feedUrl}`);
+  }
+
+  // Fetch the feed once to validate it and pick up its title
+  const feed = await fetchFeed(feedUrl);
+
+  const subscription = {
+    id: uuidv4().slice(0, 8),
+    feedUrl,
+    title: options.title || feed.title || feedUrl,
+    include: options.include || [],
+    exclude: options.exclude || [],
+    tags: options.tags || [],
+    maxItemsPerPoll: options.maxItemsPerPoll || config.subscriptions.defaultMaxItemsPerPoll,
+    enabled: true,
+    createdDate: new Date().toISOString(),
+    lastPolled: null,
+    lastError: null,
+    seenEntries: options.skipExisting ? feed.entries.map(entry => entry.id) : []
+  };
+
+  subscriptions.push(subscription);
+  await saveSubscriptions(subscriptions);
+  console.log(`Subscribed to "${subscription.title}" (${feedUrl}) with ${feed.entries.length} entries`);
+
+  return subscription;
+}
+
+/**
+ * Removes a subscription by ID or feed URL
+ * @param {string} idOrUrl - Subscription ID or feed URL
+ * @returns {Promise<Object|null>} The removed subscription, or null if not found
+ */
+export async function removeSubscription(idOrUrl) {
+  const subscriptions = await loadSubscriptions();
+  const index = subscriptions.findIndex(subscription =>
+    subscription.id === idOrUrl || subscription.feedUrl === idOrUrl
+  );
+  if (index === -1) return null;
+
+  const [removed] = subscriptions.splice(index, 1);
+  await saveSubscriptions(subscriptions);
+  console.log(`Unsubscribed from "${removed.title}"`);
+  return removed;
+}
+
+/**
+ * Polls every enabled subscription and turns new entries into episodes
+ * Entries already seen, already in the processed articles cache or rejected by
+ * the subscription filters are skipped, so polling again is idempotent.
+ * @param {Object} processedArticles - The processed articles cache (updated and saved)
+ * @param {Object} options - Poll options
+ * @param {boolean} options.dryRun - Only report which entries would be processed
+ * @param {string} options.subscriptionId - Only poll this subscription
+ * @param {Function} options.onStatus - Callback for status messages
+ * @returns {Promise<Object>} Summary of the poll (new episodes, skipped entries, failures)
+ */
+export async function pollSubscriptions(processedArticles, options = {}) {
+  const { dryRun = false, subscriptionId = null, onStatus = () => {} } = options;
+  const subscriptions = await loadSubscriptions();
+
+  const result = {
+    subscriptionsPolled: 0,
+    episodes: [],
+    skipped: 0,
+    failures: [],
+    dryRun
+  };
+
+  for (const subscription of subscriptions) {
+    if (!subscription.enabled) continue;
+    if (subscriptionId && subscription.id !== subscriptionId) continue;
+
+    onStatus(`Polling "${subscription.title}"...`);
+
+    let feed;
+    try {
+      feed = await fetchFeed(subscription.feedUrl);
+    } catch (error) {
+      console.error(`Error fetching feed ${subscription.feedUrl}:`, error.message);
+      subscription.lastError = error.message;
+      result.failures.push({ subscriptionId: subscription.id, link: subscription.feedUrl, message: error.message });
+      continue;
+    }
+
+    const seen = new Set(subscription.seenEntries || []);
+    const candidates = [];
+
+    for (const entry of feed.entries) {
+      if (seen.has(entry.id)) continue;
+
+      if (!entry.link || isArticleProcessed(processedArticles, entry.link) || !matchesFilters(entry, subscription)) {
+        seen.add(entry.id);
+        result.skipped++;
+        continue;
+      }
+
+      candidates.push(entry);
+    }
+
+    // Newest entries first; anything over the per-poll limit waits for the next poll
+    candidates.sort((a, b) => new Date(b.pubDate || 0) - new Date(a.pubDate || 0));
+    const selected = candidates.slice(0, subscription.maxItemsPerPoll || config.subscriptions.defaultMaxItemsPerPoll);
+
+    console.log(`Subscription "${subscription.title}": ${candidates.length} new entries, processing ${selected.length}`);
+
+    for (const entry of selected) {
+      if (dryRun) {
+        onStatus(`Would process: ${entry.title}`);
+        result.episodes.push({ subscriptionId: subscription.id, title: entry.title, link: entry.link });
+        continue;
+      }
+
+      try {
+        onStatus(`Processing "${entry.title}" from "${subscription.title}"...`);
+        // Save cache after every episode (every part) so a timeout doesn't lose paid-for audio
+        const { episode, episodes, charCount, voice } = await generateEpisode(entry.link, processedArticles, undefined, {
+          onStatus,
+          tags: subscription.tags,
+          onEpisode: () => saveJsonFile(config.content.cacheFile, processedArticles)
+        });
+        await trackUsage(charCount, voice);
+        await logProcessingEvent({
+          url: entry.link,
+          title: episode.title,
+          charCount,
+          voice,
+          subscriptionId: subscription.id
+        });
+
+        seen.add(entry.id);
+        result.episodes.push(...episodes.map(part => ({
+          subscriptionId: subscription.id,
+          title: part.title,
+          link: part.link,
+          audioPath: part.audioPath
+        })));
+      } catch (error) {
+        if (error.code === 'DUPLICATE_ARTICLE') {
+          onStatus(`Skipping duplicate: ${error.message}`);
+          seen.add(entry.id);
+          result.skipped++;
+          continue;
+        }
+        console.error(`Error processing feed entry "${entry.link}":`, error.message);
+        // Parts made before the failure are cached, and paid for
+        if (error.charCount > 0) await trackUsage(error.charCount, error.voice);
+        result.failures.push({ subscriptionId: subscription.id, link: entry.link, message: error.message, code: error.code });
+
+        // Paywalls, teasers and the like won't change on the next poll; bot checks and network errors might
+        if (PERMANENT_FAILURE_CODES.includes(error.code)) seen.add(entry.id);
+      }
+    }
+
+    subscription.seenEntries = [...seen].slice(-config.subscriptions.maxSeenEntries);
+    subscription.lastPolled = new Date().toISOString();
+    subscription.lastError = null;
+    result.subscriptionsPolled++;
+  }
+
+  if (!dryRun) {
+    await saveSubscriptions(subscriptions);
+  }
+
+  return result;
+}
+
+/**
+ * Checks a feed entry against the subscription's keyword filters
+ * @param {Object} entry - The feed entry
+ * @param {Object} subscription - The subscription
+ * @returns {boolean} True if the entry should be processed
+ */
+function matchesFilters(entry, subscription) {
+  const text = `${entry.title} ${entry.summary}`.toLowerCase();
+  const include = subscription.include || [];
+  const exclude = subscription.exclude || [];
+
+  if (include.length > 0 && !include.some(keyword => text.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+  return !exclude.some(keyword => text.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Fetches and parses a source feed
+ * @param {string} feedUrl - The feed URL
+ * @returns {Promise<Object>} The feed title and entries
+ */
+export async function fetchFeed(feedUrl) {
+  const { data, contentType, url } = await safeFetch(feedUrl, {
+    headers: {
+      'User-Agent': config.content.userAgent,
+      'Accept': 'application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.8,*/*;q=0.5'
+    },
+    allowedContentTypes: FEED_CONTENT_TYPES
+  });
+
+  return parseFeed(decodeBody(data, contentType), url);
+}
+
+/**
+ * Parses an RSS 2.0 or Atom feed document
+ * @param {string} xml - The feed XML
+ * @param {string} feedUrl - The feed URL (used to resolve relative links)
+ * @returns {Object} The feed title and entries (id, title, link, summary, pubDate)
+ */
+export function parseFeed(xml, feedUrl) {
+  const { document } = new JSDOM(xml, { contentType: 'text/xml' }).window;
+  const root = document.documentElement;
+  if (!root || root.localName === 'parsererror') {
+    throw new Error(`Not a valid RSS/Atom feed: ${feedUrl}`);
+  }
+
+  const channel = childElement(root, 'channel') || root;
+  const entryElements = [...root.getElementsByTagName('item'), ...root.getElementsByTagName('entry')];
+
+  const entries = entryElements.map(element => {
+    const link = resolveUrl(findEntryLink(element), feedUrl);
+    const summary = childText(element, 'description', 'summary', 'encoded', 'content')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      id: childText(element, 'guid', 'id') || link,
+      title: childText(element, 'title') || 'Untitled',
+      link,
+      summary,
+      pubDate: childText(element, 'pubDate', 'published', 'updated', 'date') || null
+    };
+  });
+
+  return {
+    title: childText(channel, 'title'),
+    entries: entries.filter(entry => entry.id)
+  };
+}
+
+/**
+ * Finds the article link of an RSS item or Atom entry
+ * @param {Element} element - The item/entry element
+ * @returns {string} The link, or an empty string
+ */
+function findEntryLink(element) {
+  const links = [...element.children].filter(child => child.localName === 'link');
+
+  // Atom: <link rel="alternate" href="..."/>, RSS: <link>...</link>
+  const atomLink = links.find(link => link.getAttribute('href') &&
+    (!link.getAttribute('rel') || link.getAttribute('rel') === 'alternate'));
+  if (atomLink) return atomLink.getAttribute('href');
+
+  const rssLink = links.find(link => link.textContent.trim());
+  if (rssLink) return rssLink.textContent.trim();
+
+  // Fall back to a permalink GUID
+  const guid = childElement(element, 'guid');
+  if (guid && guid.getAttribute('isPermaLink') !== 'false' && /^https?:\/\//.test(guid.textContent.trim())) {
+    return guid.textContent.trim();
+  }
+
+  return '';
+}
+
+/**
+ * Finds the first direct child element with the given local name
+ * @param {Element} element - The parent element
+ * @param {string} name - The local name
+ * @returns {Element|undefined} The child element
+ */
+function childElement(element, name) {
+  return [...element.children].find(child => child.localName === name);
+}
+
+/**
+ * Gets the trimmed text of the first matching direct child element
+ * @param {Element} element - The parent element
+ * @param {...string} names - Local names to try, in order
+ * @returns {string} The text content, or an empty string
+ */
+function childText(element, ...names) {
+  for (const name of names) {
+    const child = childElement(element, name);
+    if (child && child.textContent.trim()) return child.textContent.trim();
+  }
+  return '';
+}
+
+/**
+ * Resolves a possibly relative link against the feed URL
+ * @param {string} link - The link
+ * @param {string} baseUrl - The feed URL
+ * @returns {string} The absolute URL, or an empty string
+ */
+function resolveUrl(link, baseUrl) {
+  if (!link) return '';
+  try {
+    return new URL(link, baseUrl).href;
+  } catch (error) {
+    return '';
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Extractive summaries for "briefing" episodes
+ *
+ * Sentences are ranked with TextRank: each sentence is a node of a graph, joined to the others
+ * by the words they share, and the graph is ranked with PageRank, so sentences that have the
+ * most in common with the rest of the article rank highest. The best-ranked sentences, up to the
+ * target length, are read in their original order. Everything runs locally.
+ */
+import { config } from './config.js';
+
+// Between sentences: after closing punctuation, before a capital letter or digit
+const SENTENCE_BOUNDARY = /(?<=[.!?]["'”’)\]]*)\s+(?=["'“‘(\[]?[\p{Lu}\d])/u;
+
+// Shorter sentences (headings, captions, "Read on.") are not picked
+const MIN_SENTENCE_WORDS = 6;
+
+// The graph has a node per sentence and an edge per pair: reports longer than this are ranked on their first sentences
+const MAX_SENTENCES = 1500;
+
+// Sentences sharing more of their terms than this with one already picked add nothing new
+const MAX_OVERLAP = 0.6;
+
+// PageRank
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+// Words that say nothing about what a sentence is about
+const STOP_WORDS = new Set(`
+  a about above after again against all also am an and any are as at be because been before being below between
+  both but by can could did do does doing down during each few for from further had has have having he her here
+  hers herself him himself his how i if in into is it its itself just me more most my myself no nor not now of
+  off on once only or other our ours ourselves out over own said same says she should so some such than that the
+  their theirs them themselves then there these they this those through to too under until up very was we were
+  what when where which while who whom why will with would you your yours yourself yourselves one two new like
+  year years per cent percent many much may might must shall well even still
+`.trim().split(/\s+/));
+
+/**
+ * Counts the words of a text
+ * @param {string} text - The text
+ * @returns {number} The word count
+ */
+export function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Summarizes text by picking its highest-ranked sentences
+ * @param {string} text - The article text (paragraphs separated by blank lines)
+ * @param {number} targetWords - The length to aim for, in words
+ * @returns {Object} { text (the summary, paragraphs separated by blank lines), wordCount,
+ *   sentenceCount (of the article), selectedCount }
+ */
+export function summarizeText(text, targetWords) {
+  const sentences = splitSentences(text);
+  const candidates = sentences
+    .filter(sentence => sentence.wordCount >= MIN_SENTENCE_WORDS)
+    .slice(0, MAX_SENTENCES);
+
+  const terms = candidates.map(sentence => getTerms(sentence.text));
+  const scores = rankSentences(terms);
+  const ranked = candidates
+    .map((sentence, i) => ({ sentence, terms: terms[i], score: scores[i] }))
+    .sort((a, b) => b.score - a.score || a.sentence.index - b.sentence.index);
+
+  // Take sentences best first until the target is reached; skip any that would overshoot it by
+  // much, and repeats (the most central sentences tend to say the same thing)
+  const selected = [];
+  const selectedTerms = [];
+  let wordCount = 0;
+  for (const { sentence, terms: sentenceTerms } of ranked) {
+    if (wordCount >= targetWords) break;
+    if (wordCount + sentence.wordCount > targetWords * 1.1 && selected.length > 0) continue;
+    if (selectedTerms.some(other => getOverlap(sentenceTerms, other) > MAX_OVERLAP)) continue;
+    selected.push(sentence);
+    selectedTerms.push(sentenceTerms);
+    wordCount += sentence.wordCount;
+  }
+
+  // Back in article order, keeping sentences of one paragraph together
+  selected.sort((a, b) => a.index - b.index);
+  const paragraphs = [];
+  selected.forEach((sentence, i) => {
+    if (i > 0 && selected[i - 1].paragraph === sentence.paragraph) {
+      paragraphs[paragraphs.length - 1] += ` ${sentence.text}`;
+    } else {
+      paragraphs.push(sentence.text);
+    }
+  });
+
+  return {
+    text: paragraphs.join('\n\n'),
+    wordCount,
+    sentenceCount: sentences.length,
+    selectedCount: selected.length
+  };
+}
+
+/**
+ * Converts a length in minutes to words, at the configured speaking rate
+ * @param {number} minutes - The length in minutes
+ * @returns {number} The number of words
+ */
+export function minutesToWords(minutes) {
+  return Math.round(minutes * config.summary.wordsPerMinute * (config.tts.audioConfig.speakingRate || 1));
+}
+
+/**
+ * Splits text into sentences, remembering their paragraph and order
+ * @param {string} text - The text
+ * @returns {Array<Object>} Sentences ({ text, paragraph, index, wordCount })
+ */
+function splitSentences(text) {
+  const sentences = [];
+  text.split(/\n\s*\n/).forEach((paragraph, paragraphIndex) => {
+    for (const sentence of paragraph.replace(/\s+/g, ' ').trim().split(SENTENCE_BOUNDARY)) {
+      if (!sentence) continue;
+      sentences.push({ text: sentence, paragraph: paragraphIndex, index: sentences.length, wordCount: countWords(sentence) });
+    }
+  });
+  return sentences;
+}
+
+/**
+ * Gets the terms of a sentence: its words, lower-cased, without stop words or plural endings
+ * @param {string} sentence - The sentence
+ * @returns {Set<string>} The terms
+ */
+function getTerms(sentence) {
+  return new Set((sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/(?<=[^s])s$/, '')));
+}
+
+/**
+ * Measures how much two sentences' terms overlap (the share of the smaller set found in the other)
+ * @param {Set<string>} a - The terms of one sentence
+ * @param {Set<string>} b - The terms of the other
+ * @returns {number} The overlap, from 0 to 1
+ */
+function getOverlap(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  if (smaller.size === 0) return 0;
+  let shared = 0;
+  for (const term of smaller) if (larger.has(term)) shared++;
+  return shared / smaller.size;
+}
+
+/**
+ * Ranks sentences with PageRank over their word-overlap graph (TextRank)
+ * @param {Array<Set<string>>} terms - The terms of each sentence
+ * @returns {Array<number>} The score of each sentence
+ */
+function rankSentences(terms) {
+  const count = terms.length;
+
+  // Edge weight: shared terms, normalized by sentence length so long sentences don't dominate
+  const weights = Array.from({ length: count }, () => new Float64Array(count));
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const norm = Math.log(terms[i].size + 1) + Math.log(terms[j].size + 1);
+      if (norm === 0) continue;
+      let shared = 0;
+      for (const term of terms[i]) if (terms[j].has(term)) shared++;
+      weights[i][j] = weights[j][i] = shared / norm;
+    }
+  }
+  const outWeights = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+  let scores = new Float64Array(count).fill(1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = new Float64Array(count);
+    let change = 0;
+    for (let i = 0; i < count; i++) {
+      let rank = 0;
+      for (let j = 0; j < count; j++) {
+        if (weights[j][i] > 0) rank += weights[j][i] / outWeights[j] * scores[j];
+      }
+      next[i] = (1 - DAMPING) + DAMPING * rank;
+      change += Math.abs(next[i] - scores[i]);
+    }
+    scores = next;
+    if (change < TOLERANCE * count) break;
+  }
+
+  return [...scores];
+}
@@ -0,0 +1,136 @@
+/**
+ * Lossless, byte-aware text splitting for TTS requests
+ *
+ * Google TTS limits each request to 5000 bytes of UTF-8, so sizes here are bytes, not
+ * string length. Splitting prefers paragraph, then sentence, then word boundaries, and
+ * only cuts inside a word if a single word is over the limit. Chunks are exact slices of
+ * the input: joined back together they give the original text.
+ */
+
+// Boundaries to split at, most preferred first (each keeps its separator with the left piece)
+const BOUNDARIES = [
+  /(?<=\n\s*\n)/,                 // Paragraphs
+  /(?<=[.!?]["'”’)\]]*\s+)/,      // Sentences
+  /(?<=[,;:—–]\s+)/,              // Clauses
+  /(?<=\s)/                       // Words
+];
+
+/**
+ * Gets the UTF-8 byte length of a string
+ * @param {string} text - The text
+ * @returns {number} The byte length
+ */
+export function byteLength(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+/**
+ * Splits text into chunks of at most maxBytes UTF-8 bytes
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum size of each chunk in bytes
+ * @returns {Array<string>} The chunks, trimmed (empty chunks are dropped)
+ */
+export function splitTextIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of splitIntoPieces(text, maxBytes, 0)) {
+    if (current && byteLength(current + piece) > maxBytes) {
+      chunks.push(current);
+      current = '';
+    }
+    current += piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * Splits text into two pieces of about the same size, at the best boundary near the middle
+ * Used to retry a chunk the TTS API rejected as too long.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Two trimmed pieces, or just the text if it can't be split
+ */
+export function splitInHalf(text) {
+  const middle = Math.floor(text.length / 2);
+
+  for (const boundary of BOUNDARIES) {
+    const positions = [];
+    const global = new RegExp(boundary.source, 'g');
+    for (const match of text.matchAll(global)) {
+      if (match.index > 0 && match.index < text.length) positions.push(match.index);
+    }
+    if (positions.length === 0) continue;
+
+    // Take the boundary closest to the middle, as long as it leaves a reasonable piece on each side
+    const best = positions.reduce((a, b) => Math.abs(b - middle) < Math.abs(a - middle) ? b : a);
+    if (best >= text.length * 0.2 && best <= text.length * 0.8) {
+      return [text.slice(0, best).trim(), text.slice(best).trim()].filter(Boolean);
+    }
+  }
+
+  // No usable boundary: cut between characters (never inside a surrogate pair)
+  const characters = [...text];
+  if (characters.length < 2) return [text];
+  const half = Math.floor(characters.length / 2);
+  return [characters.slice(0, half).join(''), characters.slice(half).join('')];
+}
+
+/**
+ * Verifies that chunks contain exactly the input text (ignoring whitespace between chunks)
+ * @param {string} text - The input text
+ * @param {Array<string>} chunks - The chunks
+ * @throws {Error} If any text was lost, duplicated or reordered
+ */
+export function verifyChunks(text, chunks) {
+  const normalize = (value) => value.replace(/\s+/g, '');
+  const expected = normalize(text);
+  const actual = normalize(chunks.join(''));
+
+  if (actual !== expected) {
+    let position = 0;
+    while (position < expected.length && expected[position] === actual[position]) position++;
+    throw new Error(`Text chunking lost or changed text near "${expected.substring(position, position + 40)}" ` +
+      `(${expected.length} characters in, ${actual.length} out)`);
+  }
+}
+
+/**
+ * Breaks text into pieces no larger than maxBytes, using the most preferred boundary that works
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum piece size in bytes
+ * @param {number} level - Index into BOUNDARIES to split at
+ * @returns {Array<string>} Pieces which, joined, give the text
+ */
+function splitIntoPieces(text, maxBytes, level) {
+  if (byteLength(text) <= maxBytes) return [text];
+  if (level >= BOUNDARIES.length) return splitByBytes(text, maxBytes);
+
+  const pieces = text.split(BOUNDARIES[level]);
+  if (pieces.length === 1) return splitIntoPieces(text, maxBytes, level + 1);
+
+  return pieces.flatMap(piece => splitIntoPieces(piece, maxBytes, level + 1));
+}
+
+/**
+ * Cuts text into pieces of at most maxBytes, between characters
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum piece size in bytes
+ * @returns {Array<string>} The pieces
+ */
+function splitByBytes(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+
+  for (const character of text) {
+    if (current && byteLength(current + character) > maxBytes) {
+      pieces.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
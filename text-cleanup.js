@@ -0,0 +1,148 @@
+/**
+ * Boilerplate and noise removal for narrated text
+ *
+ * Extracted text goes through an ordered pipeline of steps before TTS. Each step removes whole
+ * lines (an "Advertisement" label, a "Read more: ..." link) and/or inline matches (footnote
+ * markers, bare URLs). Steps can be turned off with DISABLED_CLEANUP_STEPS (comma-separated
+ * names), and cleanupText() can run any of them on their own, to check a step against a text.
+ *
+ * What was removed is reported by step, with a few examples, so the patterns can be tuned
+ * (the report is stored with the episode in the processed articles cache).
+ */
+import { config } from './config.js';
+
+// Examples of removed text kept per step in the report
+const MAX_EXAMPLES = 5;
+const MAX_EXAMPLE_LENGTH = 80;
+
+// Social networks, for share button rows ("Facebook Twitter LinkedIn Email")
+const NETWORKS = '(?:facebook|twitter|x|linkedin|whatsapp|email|e-mail|pinterest|reddit|bluesky|threads|copy link|print)';
+
+// The pipeline, in order
+const CLEANUP_STEPS = [
+  {
+    name: 'dashRules',
+    description: 'Runs of four or more dashes used as separators',
+    inline: /-{4,}/g,
+    replacement: ' '
+  },
+  {
+    name: 'advertisements',
+    description: '"Advertisement" labels and "story continues below" notes',
+    lines: /^(?:advertisements?|ad|sponsored(?: content)?|skip advertisement|(?:story|article) continues below(?: this)?(?: advert(?:isement)?)?|continue reading(?: the main story| below)?)[.:]?$/i
+  },
+  {
+    name: 'newsletterPrompts',
+    description: 'Newsletter sign-up prompts',
+    lines: /^(?:(?:sign up|subscribe|get|join|register)\b.{0,120}\bnewsletters?\b.{0,150}|(?:enter your email|subscribe (?:now|today|here))\b.{0,150})$/i
+  },
+  {
+    name: 'readMoreLinks',
+    description: '"Read more:", "Related:" and "See also:" links',
+    lines: /^(?:(?:read more|read next|more reading|related(?: articles?| stories| content| reading)?|see also|also read|recommended(?: reading)?|you may also like|more on this(?: story)?)(?:\s*[:|–-]\s*.{0,200})?)$/i
+  },
+  {
+    name: 'imageCredits',
+    description: 'Photo and image credits',
+    lines: /^(?:photo(?:graph)?|image|picture|illustration|photo credit|image credit|credit)s?\s*:\s*.{0,150}$/i,
+    // "... Photograph: Jane Smith/Getty Images" at the end of a caption, "(Photo by Jane Smith)"
+    inline: /\s*(?:\b(?:photograph|photo|image|illustration|credit)\s*:\s*[^.\n:]{1,80}\/\s*[^.\n]{1,60}\.?$|\((?:photos?|images?|illustration) (?:by|courtesy of|credit:?)[^)]{1,100}\))/gi
+  },
+  {
+    name: 'footnoteMarkers',
+    description: 'Footnote and citation markers such as [12] or [citation needed]',
+    inline: /(?<=\S)\s?\[(?:\d{1,3}(?:\s?[-–,]\s?\d{1,3})*|[a-z]|citation needed|note \d+)\]/gi
+  },
+  {
+    name: 'bareUrls',
+    description: 'Bare URLs in the text',
+    inline: /\s*\((?:https?:\/\/|www\.)[^\s()]+\)|(?:https?:\/\/|www\.)[^\s<>()]*[^\s<>().,;:!?'"”’]/gi
+  },
+  {
+    name: 'socialPrompts',
+    description: 'Share buttons and "follow us" prompts',
+    lines: new RegExp(`^(?:share(?: this(?: article| story| page)?| on \\w+| via \\w+)?|click to (?:share|tweet|email)\\b.{0,60}|tweet this|follow us on\\b.{0,80}|like us on facebook|${NETWORKS}(?:\\s*[,|•·/]?\\s*${NETWORKS})+)[.:!]?$`, 'i')
+  }
+];
+
+const STEP_NAMES = CLEANUP_STEPS.map(step => step.name);
+
+const unknownDisabledSteps = config.content.disabledCleanupSteps.filter(name => !STEP_NAMES.includes(name));
+if (unknownDisabledSteps.length > 0) {
+  console.warn(`Unknown cleanup steps in DISABLED_CLEANUP_STEPS: ${unknownDisabledSteps.join(', ')} (steps: ${STEP_NAMES.join(', ')})`);
+}
+
+/**
+ * Removes boilerplate and noise from article text
+ * @param {string} text - The text (paragraphs separated by blank lines)
+ * @param {Object} [options] - Cleanup options
+ * @param {Array<string>} [options.steps] - Names of the steps to run (defaults to all steps not disabled in config)
+ * @returns {Object} { text, report: { removedChars, steps: { <name>: { count, examples } } } }
+ */
+export function cleanupText(text, options = {}) {
+  const steps = options.steps
+    ? CLEANUP_STEPS.filter(step => options.steps.includes(step.name))
+    : CLEANUP_STEPS.filter(step => !config.content.disabledCleanupSteps.includes(step.name));
+  const report = { removedChars: 0, steps: {} };
+  const record = (step, removed) => {
+    const entry = report.steps[step.name] || (report.steps[step.name] = { count: 0, examples: [] });
+    const example = removed.trim().replace(/\s+/g, ' ');
+    entry.count++;
+    report.removedChars += removed.length;
+    if (entry.examples.length < MAX_EXAMPLES && !entry.examples.includes(example)) {
+      entry.examples.push(example.length > MAX_EXAMPLE_LENGTH ? `${example.substring(0, MAX_EXAMPLE_LENGTH)}...` : example);
+    }
+  };
+
+  let lines = text.split('\n');
+  for (const step of steps) {
+    if (step.lines) {
+      lines = lines.filter(line => {
+        if (!step.lines.test(line.trim())) return true;
+        record(step, line);
+        return false;
+      });
+    }
+    if (step.inline) {
+      lines = lines.map(line => {
+        const cleaned = line.replace(step.inline, match => {
+          record(step, match);
+          return step.replacement ?? '';
+        });
+        // Tidy the gap left behind ("see https://example.com." reads "see.")
+        return cleaned === line ? line : cleaned.replace(/[ \t]{2,}/g, ' ').replace(/[ \t]+([.,;:!?])/g, '$1');
+      });
+    }
+  }
+
+  // Lines emptied by inline removal go, and so do the blank lines around removed paragraphs
+  const cleaned = lines.join('\n')
+    .replace(/\n[ \t]+\n/g, '\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { text: cleaned, report };
+}
+
+/**
+ * Removes boilerplate and noise from article blocks, the same way as from the text, so the
+ * cleaned paragraphs still match their blocks
+ * @param {Array<Object>} blocks - The blocks from extractBlocks()
+ * @returns {Array<Object>} The blocks with cleaned text (blocks left empty are dropped)
+ */
+export function cleanupBlocks(blocks) {
+  return blocks
+    .map(block => ({ ...block, text: cleanupText(block.text).text }))
+    .filter(block => block.text);
+}
+
+/**
+ * Describes a cleanup report in one line, for logs
+ * @param {Object} report - The report from cleanupText()
+ * @returns {string} The description, e.g. "removed 2 advertisements, 3 bareUrls (212 characters)"
+ */
+export function describeCleanupReport(report) {
+  const counts = Object.entries(report.steps).map(([name, { count }]) => `${count} ${name}`);
+  return counts.length > 0
+    ? `removed ${counts.join(', ')} (${report.removedChars} characters)`
+    : 'nothing removed';
+}
@@ -1,27 +1,67 @@
-import textToSpeech from '@google-cloud/text-to-speech';
 import fs from 'fs/promises';
 import path from 'path';
 import { config } from './config.js';
-import { ensureDirectoryExists, createSafeFilename } from './utils.js';
+import { ensureDirectoryExists, createSafeFilename, mapWithConcurrency, getBackoffDelay, sleep } from './utils.js';
 import { saveToCloudStorage, fileExistsInCloudStorage } from './cloud-storage.js';
+import {
+  supportsSsml,
+  buildSpeechSegments,
+  segmentToText,
+  renderSsml,
+  splitSegmentsIntoSsmlChunks,
+  splitSegmentsInHalf
+} from './ssml-builder.js';
+import { byteLength, splitTextIntoChunks, splitInHalf, verifyChunks } from './text-chunker.js';
+import { getChunkCacheKey, loadCachedChunk, saveCachedChunk, removeCachedChunks } from './chunk-cache.js';
+import { getTtsProvider } from './tts-provider.js';
+import { concatenateMp3, getMp3Duration, parseMp3Frames } from './mp3-utils.js';
+import { buildId3Tag, loadCoverArt } from './id3-tags.js';
+import { splitIntoSections, buildChapters, buildChaptersJson } from './chapters.js';
+import { buildTranscriptCues, toWebVtt, toSrt } from './transcripts.js';
+import { buildIntroText, buildOutroText, isOutroShared, loadJingle } from './episode-template.js';
+import { assignSpeakers } from './narration.js';
+import { selectSecondaryVoices } from './voice-policy.js';
+import { normalizeToText } from './speech-normalizer.js';
 
-// Create Google Cloud TTS client
-const client = new textToSpeech.TextToSpeechClient();
+// Plain-text chunks are kept well under the request limit to avoid "sentence too long" errors from the API
+const TEXT_CHUNK_BYTES = 1000;
+
+// How many times a rejected chunk may be halved before giving up
+const MAX_RESPLIT_DEPTH = 6;
+
+// gRPC RESOURCE_EXHAUSTED: over quota, which takes longer to clear than other transient errors
+const RESOURCE_EXHAUSTED = 8;
 
 /**
  * Converts text to speech and saves as an audio file
  * @param {string} text - The text to convert to speech
  * @param {string} title - Title for the filename
- * @param {Object} voiceConfig - The Google Cloud TTS voice configuration to use
+ * @param {Object} voiceConfig - The voice configuration to use (see voice-policy.js)
  * @param {Function} [onProgress] - Callback for progress updates (percentage, message)
- * @returns {Promise<string>} Path to the generated audio file
+ * @param {Object} [options] - Synthesis options
+ * @param {Array<Object>} [options.blocks] - Article structure (headings, list items...) used for SSML pacing
+ * @param {Object} [options.tags] - ID3 tags besides the title and album ({ artist, date, comment, url })
+ * @param {Object} [options.credits] - Where the article came from, for the intro ({ siteName, author, publishedDate })
+ * @param {boolean} [options.multiVoice] - Read quotations and interview turns in other voices (defaults to config)
+ * @param {Object} [options.lexicon] - Pronunciation lexicon applied to the text sent to the provider (see speech-normalizer.js)
+ * @returns {Promise<Object>} { audioPath, duration (seconds), fileSize (bytes), chaptersPath, transcripts ({ vtt, srt }),
+ *   articleRange ({ start, end }: where the article is read, between the intro and outro, in seconds),
+ *   charCount (characters synthesized, with the intro and outro) }; duration and fileSize are null for audio
+ *   that already existed in cloud storage, chaptersPath is null without chapters, transcripts and articleRange
+ *   are null for existing audio, and charCount is 0 for it
  */
-export async function textToAudio(text, title, voiceConfig, onProgress) {
+export async function textToAudio(text, title, voiceConfig, onProgress, options = {}) {
   if (!text || text.trim() === '') throw new Error('Empty text content');
   
+  const provider = getTtsProvider();
+  const { audioEncoding } = config.tts.audioConfig;
+  if (!provider.supportedEncodings.includes(audioEncoding)) {
+    throw new Error(`The ${provider.name} TTS provider can't produce ${audioEncoding} audio (supported: ${provider.supportedEncodings.join(', ')})`);
+  }
+  
   // Create a safe filename and setup paths
   const filename = createSafeFilename(title) + '.mp3';
-  console.log(`Processing text-to-speech for "${title}" (${text.length} characters) using voice config:`, voiceConfig);
+  console.log(`Processing text-to-speech for "${title}" (${text.length} characters) with the ${provider.name} provider using voice config:`, voiceConfig);
   console.log(`Using cloud storage: ${config.cloud.useCloudStorage}`);
   
   if (onProgress) onProgress(5, 'Checking existing files...');
@@ -33,54 +73,150 @@ export async function textToAudio(text, title, voiceConfig, onProgress) {
       if (fileExists) {
         console.log(`Audio file ${filename} already exists in cloud storage. Skipping TTS conversion.`);
         if (onProgress) onProgress(100, 'Audio already exists');
-        return `https://storage.googleapis.com/${config.cloud.bucketName}/audio/${filename}`;
+        return { audioPath: `https://storage.googleapis.com/${config.cloud.bucketName}/audio/${filename}`, duration: null, fileSize: null, chaptersPath: null, transcripts: null, articleRange: null, charCount: 0 };
       }
     } else {
       await ensureDirectoryExists(config.output.audioDir);
       const localFilePath = path.join(config.output.audioDir, filename);
       try {
-        await fs.access(localFilePath);
+        const existingAudio = await fs.readFile(localFilePath);
         console.log(`Audio file ${filename} already exists locally. Skipping TTS conversion.`);
         if (onProgress) onProgress(100, 'Audio already exists');
-        return localFilePath;
+        return { audioPath: localFilePath, duration: Math.round(getMp3Duration(existingAudio)), fileSize: existingAudio.length, chaptersPath: null, transcripts: null, articleRange: null, charCount: 0 };
       } catch (err) { /* File doesn't exist, continue */ }
     }
     
     if (onProgress) onProgress(10, 'Splitting text...');
     
-    // Split text into chunks if needed (GCP TTS has a limit)
-    // Reducing chunk size to 1000 to avoid "sentence too long" errors from API
-    const textChunks = splitTextIntoChunks(text, 1000); 
+    // Headings, list items and paragraphs, paced with SSML where the voice supports it. In
+    // multi-voice mode, quotations and interview turns are read in other voices.
+    const multiVoice = options.multiVoice ?? config.tts.multiVoice;
+    const { segments, speakerVoices } = multiVoice
+      ? await assignVoices(buildSpeechSegments(text, options.blocks), voiceConfig)
+      : { segments: buildSpeechSegments(text, options.blocks), speakerVoices: new Map() };
+    const useSsml = supportsSsml(voiceConfig, provider);
+    
+    // Split text into chunks by UTF-8 bytes (the provider's request limit, 5000 bytes for Google).
+    // Each section (from one heading to the next) is chunked separately, so chapters start on a chunk,
+    // and so is each speaker's part of it, since a request has a single voice.
+    const speechText = segments.map(segmentToText).join('\n\n');
+    const sections = splitIntoSections(segments);
+    const textChunks = [];
+    const chunkSections = [];
+    const chunkVoices = [];
+    sections.forEach((section, index) => {
+      for (const speakerSegments of splitBySpeaker(section.segments)) {
+        const speakerChunks = useSsml
+          ? splitSegmentsIntoSsmlChunks(speakerSegments, provider.maxRequestBytes, options.lexicon)
+          : splitTextIntoChunks(speakerSegments.map(segmentToText).join('\n\n'), Math.min(TEXT_CHUNK_BYTES, provider.maxRequestBytes));
+        for (const chunk of speakerChunks) {
+          textChunks.push(chunk);
+          chunkSections.push(index);
+          chunkVoices.push(speakerVoices.get(speakerSegments[0].speaker) || voiceConfig);
+        }
+      }
+    });
+    
+    // Every word must reach the API: fail rather than publish an episode with text missing
+    verifyChunks(useSsml ? segments.map(segment => segment.text).join(' ') : speechText,
+      textChunks.map(chunk => getChunkText(chunk, useSsml)));
+    console.log(`Split text into ${textChunks.length} chunks${useSsml ? ' (SSML)' : ''}`);
+    
+    // The spoken intro and outro go around the article. A shared outro (the same for every
+    // episode) is left in the chunk cache, so it is only synthesized once per voice.
+    const introText = buildIntroText(title, options.credits);
+    const outroText = buildOutroText(title, options.credits);
+    const toChunk = bumperText => useSsml ? [{ type: 'paragraph', text: bumperText }] : bumperText;
+    const speechChunks = [
+      ...(introText ? [{ chunk: toChunk(introText), section: 0 }] : []),
+      ...textChunks.map((chunk, i) => ({ chunk, section: chunkSections[i], voice: chunkVoices[i] })),
+      ...(outroText ? [{ chunk: toChunk(outroText), section: sections.length - 1, shared: isOutroShared() }] : [])
+    ];
+    
+    // Synthesize chunks in parallel. Each chunk's audio is cached as soon as it arrives, so if
+    // this run fails, the next one only pays for the chunks that are missing. The lexicon is
+    // applied as each chunk is sent, so the transcript keeps the article's wording.
+    const run = { provider, lexicon: options.lexicon, cacheKeys: [], cachedChunks: 0 };
+    let completed = 0;
+    const audioChunks = await mapWithConcurrency(speechChunks, config.tts.concurrency, async ({ chunk, voice, shared }) => {
+      const audio = await synthesizeChunk(chunk, voice || voiceConfig, useSsml, shared ? { ...run, cacheKeys: [] } : run);
+      completed++;
+      const progress = 10 + Math.round((completed / speechChunks.length) * 80); // 10% to 90%
+      if (onProgress) onProgress(progress, `Synthesized audio chunk ${completed}/${speechChunks.length}`);
+      return audio;
+    });
+    if (run.cachedChunks > 0) console.log(`Reused ${run.cachedChunks} cached audio chunks`);
+    
+    if (onProgress) onProgress(90, 'Combining and saving audio...');
     
-    // Process text chunks and combine audio
-    const audioChunks = [];
-    for (let i = 0; i < textChunks.length; i++) {
-      const progress = 10 + Math.round(((i) / textChunks.length) * 80); // 10% to 90%
-      if (onProgress) onProgress(progress, `Synthesizing audio chunk ${i + 1}/${textChunks.length}`);
+    // Combine all audio chunks: MP3 frames are joined under one Xing/Info header and the file is tagged
+    let audioContent;
+    let duration = null;
+    let chapters = [];
+    let cues = [];
+    let articleRange = null;
+    if (audioEncoding === 'MP3') {
+      // Jingles open and close the episode; they have no text and belong to the first and last sections
+      const sampleRate = parseMp3Frames(audioChunks[0])[0]?.header.sampleRate;
+      const introJingle = await loadCompatibleJingle(config.episode.introJingle, sampleRate);
+      const outroJingle = await loadCompatibleJingle(config.episode.outroJingle, sampleRate);
+      const parts = [
+        ...(introJingle ? [{ audio: introJingle, section: 0, text: '' }] : []),
+        ...speechChunks.map((item, i) => ({ audio: audioChunks[i], section: item.section, text: getTranscriptText(item.chunk, useSsml) })),
+        ...(outroJingle ? [{ audio: outroJingle, section: sections.length - 1, text: '' }] : [])
+      ];
       
-      if (textChunks.length > 1) console.log(`Processing chunk ${i + 1}/${textChunks.length}`);
-      const audioContent = await synthesizeSpeech(textChunks[i], voiceConfig);
-      audioChunks.push(Buffer.from(audioContent));
+      const mp3 = concatenateMp3(parts.map(part => part.audio));
+
+      // Where the article itself is read, so digests can use it without the intro and outro (see digest-builder.js)
+      const firstArticlePart = (introJingle ? 1 : 0) + (introText ? 1 : 0);
+      const afterArticle = firstArticlePart + textChunks.length;
+      articleRange = {
+        start: roundSeconds(mp3.offsets[firstArticlePart]),
+        end: roundSeconds(afterArticle < parts.length ? mp3.offsets[afterArticle] : mp3.duration)
+      };
+      chapters = buildChapters(sections, parts.map(part => part.section), mp3.offsets, mp3.duration, title);
+      cues = buildTranscriptCues(parts.map(part => part.text), mp3.offsets, mp3.duration);
+      const tag = buildId3Tag({
+        title,
+        album: config.podcast.title,
+        ...options.tags,
+        image: await loadCoverArt(),
+        chapters
+      });
+      audioContent = Buffer.concat([tag, mp3.audio]);
+      duration = Math.round(mp3.duration);
+    } else {
+      if (config.episode.introJingle || config.episode.outroJingle) {
+        console.warn(`Jingles can only be added to MP3 audio, not ${audioEncoding}`);
+      }
+      audioContent = Buffer.concat(audioChunks);
     }
+    const fileSize = audioContent.length;
     
-    if (onProgress) onProgress(90, 'Combining and saving audio...');
+    // Save the audio, then the chapters (Podcasting 2.0) and transcript files next to it
+    const audioPath = await saveEpisodeFile(filename, audioContent, 'audio/mpeg');
+    console.log(`Audio saved to: ${audioPath}`);
     
-    // Combine all audio chunks
-    const audioContent = textChunks.length === 1 ? audioChunks[0] : Buffer.concat(audioChunks);
+    let chaptersPath = null;
+    if (chapters.length > 0) {
+      chaptersPath = await saveEpisodeFile(filename.replace(/\.mp3$/, '.chapters.json'), buildChaptersJson(chapters), 'application/json+chapters');
+      console.log(`Generated ${chapters.length} chapters from headings`);
+    }
     
-    // Save audio file to storage
-    if (config.cloud.useCloudStorage) {
-      const publicUrl = await saveToCloudStorage(filename, audioContent, 'audio', 'audio/mpeg');
-      console.log(`Audio saved to cloud storage: ${publicUrl}`);
-      if (onProgress) onProgress(100, 'Complete');
-      return publicUrl;
-    } else {
-      const outputPath = path.join(config.output.audioDir, filename);
-      await fs.writeFile(outputPath, audioContent);
-      console.log(`Audio saved to: ${outputPath}`);
-      if (onProgress) onProgress(100, 'Complete');
-      return outputPath;
+    let transcripts = null;
+    if (cues.length > 0) {
+      transcripts = {
+        vtt: await saveEpisodeFile(filename.replace(/\.mp3$/, '.vtt'), toWebVtt(cues), 'text/vtt'),
+        srt: await saveEpisodeFile(filename.replace(/\.mp3$/, '.srt'), toSrt(cues), 'application/x-subrip')
+      };
+      console.log(`Generated a transcript with ${cues.length} cues`);
     }
+    
+    await removeCachedChunks(run.cacheKeys);
+    if (onProgress) onProgress(100, 'Complete');
+    const charCount = speechText.length + introText.length + outroText.length;
+    return { audioPath, duration, fileSize, chaptersPath, transcripts, articleRange, charCount };
   } catch (error) {
     console.error('Error in text-to-speech conversion:', error);
     throw error;
@@ -88,134 +224,236 @@ export async function textToAudio(text, title, voiceConfig, onProgress) {
 }
 
 /**
- * Calls the Google Cloud TTS API
- * @param {string} text - Text to synthesize
- * @param {Object} voiceConfig - The Google Cloud TTS voice configuration to use
+ * Synthesizes a short text (such as the transitions of a digest) as MP3 audio, without saving it
+ * @param {string} text - The text (paragraphs separated by blank lines)
+ * @param {Object} voiceConfig - The voice configuration to use (see voice-policy.js)
+ * @returns {Promise<Buffer>} The MP3 audio
+ */
+export async function synthesizeText(text, voiceConfig) {
+  if (!text || text.trim() === '') throw new Error('Empty text content');
+
+  const provider = getTtsProvider();
+  if (config.tts.audioConfig.audioEncoding !== 'MP3' || !provider.supportedEncodings.includes('MP3')) {
+    throw new Error(`Only MP3 audio can be joined to episodes (the ${provider.name} provider is set to ${config.tts.audioConfig.audioEncoding})`);
+  }
+
+  const segments = buildSpeechSegments(text);
+  const useSsml = supportsSsml(voiceConfig, provider);
+  const chunks = useSsml
+    ? splitSegmentsIntoSsmlChunks(segments, provider.maxRequestBytes)
+    : splitTextIntoChunks(segments.map(segmentToText).join('\n\n'), Math.min(TEXT_CHUNK_BYTES, provider.maxRequestBytes));
+
+  // Short and cheap to redo, so the chunks aren't kept for resuming
+  const run = { provider, cacheKeys: [], cachedChunks: 0 };
+  const audioChunks = await mapWithConcurrency(chunks, config.tts.concurrency, chunk => synthesizeChunk(chunk, voiceConfig, useSsml, run));
+  await removeCachedChunks(run.cacheKeys);
+  return concatenateMp3(audioChunks).audio;
+}
+
+/**
+ * Gives the speakers of quotations and interview turns their voices (see narration.js)
+ * @param {Array<Object>} segments - The speech segments
+ * @param {Object} voiceConfig - The narrator's voice
+ * @returns {Promise<Object>} { segments (with speakers), speakerVoices: Map of speaker to voice configuration }
+ */
+async function assignVoices(segments, voiceConfig) {
+  const narrated = assignSpeakers(segments);
+  const speakers = [...new Set(narrated.map(segment => segment.speaker).filter(Boolean))];
+  if (speakers.length === 0) return { segments, speakerVoices: new Map() };
+
+  const voices = await selectSecondaryVoices(voiceConfig, speakers.length);
+  if (voices.length === 0) {
+    console.warn(`No other voices like ${voiceConfig.name}: reading quotations in the narrator's voice`);
+    return { segments, speakerVoices: new Map() };
+  }
+
+  speakers.forEach((speaker, i) => console.log(`Reading ${speaker} with voice ${voices[i].name}`));
+  return { segments: narrated, speakerVoices: new Map(speakers.map((speaker, i) => [speaker, voices[i]])) };
+}
+
+/**
+ * Splits segments into runs read by the same speaker
+ * @param {Array<Object>} segments - The segments
+ * @returns {Array<Array<Object>>} The runs, in order
+ */
+function splitBySpeaker(segments) {
+  const runs = [];
+  for (const segment of segments) {
+    const last = runs[runs.length - 1];
+    if (last && last[0].speaker === segment.speaker) {
+      last.push(segment);
+    } else {
+      runs.push([segment]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Synthesizes one chunk, splitting it again if the API rejects it as too long
+ * The pieces are all synthesized and their audio joined, so no text is dropped.
+ * @param {string|Array<Object>} chunk - Plain text, or the segments of an SSML request
+ * @param {Object} voiceConfig - The voice configuration to use (see voice-policy.js)
+ * @param {boolean} useSsml - Whether the chunk is SSML segments
+ * @param {Object} run - This episode's provider, lexicon and cache bookkeeping ({ provider, lexicon, cacheKeys, cachedChunks })
+ * @param {number} [depth=0] - How many times this text has already been split
  * @returns {Promise<Buffer>} Audio content as buffer
  */
-async function synthesizeSpeech(text, voiceConfig) {
+async function synthesizeChunk(chunk, voiceConfig, useSsml, run, depth = 0) {
   try {
-    // Check byte length (approximation for UTF-8)
-    const byteLength = new TextEncoder().encode(text).length;
-    
-    // Truncate if text exceeds API limit
-    if (byteLength > 5000) {
-      console.warn(`Text byte length (${byteLength}) exceeds Google TTS limit of 5000 bytes. Truncating.`);
-      let safeText = text;
-      while (new TextEncoder().encode(safeText).length > 4800) {
-        safeText = safeText.substring(0, safeText.length - 100);
-      }
-      console.log(`Truncated text from ${text.length} to ${safeText.length} characters`);
-      text = safeText;
-    }
-    
-    // Call the API
-    const [response] = await client.synthesizeSpeech({
-      input: { text },
-      voice: voiceConfig,
-      audioConfig: config.tts.audioConfig
-    });
-    
-    return response.audioContent;
+    const input = useSsml
+      ? renderSsml(chunk, run.lexicon)
+      : (run.lexicon ? normalizeToText(chunk, run.lexicon) : chunk);
+    return await synthesizeCached(input, voiceConfig, useSsml, run);
   } catch (error) {
-    console.error(`Error in synthesizeSpeech: ${error.message}`);
-    
-    // If input size error, try with smaller chunk
-    if (error.message.includes('longer than the limit of 5000 bytes')) {
-      console.log('Attempting to recover by reducing text size...');
-      return synthesizeSpeech(text.substring(0, Math.floor(text.length * 0.8)), voiceConfig);
+    if (!isInputTooLongError(error) || depth >= MAX_RESPLIT_DEPTH) throw error;
+
+    const pieces = useSsml ? splitSegmentsInHalf(chunk) : splitInHalf(chunk);
+    if (pieces.length < 2) throw error;
+    verifyChunks(getChunkText(chunk, useSsml), pieces.map(piece => getChunkText(piece, useSsml)));
+
+    console.warn(`Chunk rejected as too long, retrying as ${pieces.length} smaller chunks: ${error.message}`);
+    const audioPieces = [];
+    for (const piece of pieces) {
+      audioPieces.push(await synthesizeChunk(piece, voiceConfig, useSsml, run, depth + 1));
     }
-    
-    throw error;
+    return Buffer.concat(audioPieces);
   }
 }
 
 /**
- * Splits text into smaller chunks at sentence boundaries
- * @param {string} text - Text to split
- * @param {number} chunkSize - Maximum size of each chunk in characters
- * @returns {Array<string>} Array of text chunks
+ * Synthesizes a request, using the chunk cache
+ * @param {string} input - Text (or an SSML document) to synthesize
+ * @param {Object} voiceConfig - The voice configuration to use (see voice-policy.js)
+ * @param {boolean} isSsml - Whether the input is SSML
+ * @param {Object} run - This episode's provider and cache bookkeeping ({ provider, cacheKeys, cachedChunks })
+ * @returns {Promise<Buffer>} Audio content as buffer
  */
-function splitTextIntoChunks(text, chunkSize) {
-  if (text.length <= chunkSize) return [text];
-  
-  // Use 80% of chunkSize to be safe
-  const safeChunkSize = Math.floor(chunkSize * 0.8);
-  const chunks = [];
-  let currentChunk = '';
-  
-  // Split by paragraphs first
-  const paragraphs = text.split(/\n\s*\n/);
-  
-  for (const paragraph of paragraphs) {
-    if (!paragraph.trim()) continue;
+async function synthesizeCached(input, voiceConfig, isSsml, run) {
+  const key = getChunkCacheKey(run.provider.name, input, isSsml, voiceConfig, config.tts.audioConfig);
+  run.cacheKeys.push(key);
 
-    // If paragraph fits, add it
-    if ((currentChunk + paragraph).length < safeChunkSize) {
-      currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
-      continue;
-    }
+  const cached = await loadCachedChunk(key);
+  if (cached) {
+    run.cachedChunks++;
+    return cached;
+  }
 
-    // Process current chunk if full
-    if (currentChunk) {
-      chunks.push(currentChunk);
-      currentChunk = '';
-    }
+  const audio = await synthesizeSpeech(input, voiceConfig, isSsml, run.provider);
+  await saveCachedChunk(key, audio);
+  return audio;
+}
 
-    // If paragraph is small enough for a new chunk, use it
-    if (paragraph.length <= safeChunkSize) {
-      currentChunk = paragraph;
-      continue;
-    }
+/**
+ * Calls the TTS provider, retrying quota and transient errors with backoff
+ * @param {string} text - Text (or an SSML document) to synthesize
+ * @param {Object} voiceConfig - The voice configuration to use (see voice-policy.js)
+ * @param {boolean} isSsml - Whether the text is SSML
+ * @param {Object} provider - The TTS provider (see tts-provider.js)
+ * @returns {Promise<Buffer>} Audio content as buffer
+ */
+async function synthesizeSpeech(text, voiceConfig, isSsml, provider) {
+  // Don't send what the provider will reject: the caller splits the chunk and retries
+  const inputBytes = byteLength(text);
+  if (inputBytes > provider.maxRequestBytes) {
+    throw new Error(`Input (${inputBytes} bytes) is longer than the limit of ${provider.maxRequestBytes} bytes`);
+  }
 
-    // Paragraph too big, split by sentences
-    const sentences = paragraph.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [paragraph];
-    
-    for (const sentence of sentences) {
-      if ((currentChunk + sentence).length < safeChunkSize) {
-        currentChunk += (currentChunk ? ' ' : '') + sentence;
-        continue;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.synthesize({
+        input: text,
+        isSsml,
+        voice: voiceConfig,
+        audioConfig: config.tts.audioConfig
+      });
+    } catch (error) {
+      if (attempt >= config.tts.maxRetries || !provider.isTransientError(error)) {
+        console.error(`Error in synthesizeSpeech: ${error.message}`);
+        throw error;
       }
 
-      // Current chunk full
-      if (currentChunk) {
-        chunks.push(currentChunk);
-        currentChunk = '';
-      }
+      // Quota errors need longer to clear than dropped connections
+      const delay = getBackoffDelay(attempt, error.code === RESOURCE_EXHAUSTED ? 5000 : 1000);
+      console.warn(`TTS request failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
 
-      // If sentence fits new chunk
-      if (sentence.length <= safeChunkSize) {
-        currentChunk = sentence;
-        continue;
-      }
+/**
+ * Checks if an API error means the input (or a sentence in it) was too long
+ * @param {Error} error - The error
+ * @returns {boolean} True if the chunk should be split and retried
+ */
+function isInputTooLongError(error) {
+  return /longer than the limit|too long/i.test(error.message || '');
+}
 
-      // Sentence too big, hard split
-      let remaining = sentence;
-      while (remaining.length > 0) {
-        if (remaining.length <= safeChunkSize) {
-          currentChunk = remaining;
-          break;
-        }
+/**
+ * Gets the text of a chunk, for checking that splitting kept all of it
+ * @param {string|Array<Object>} chunk - Plain text, or the segments of an SSML request
+ * @param {boolean} useSsml - Whether the chunk is SSML segments
+ * @returns {string} The text
+ */
+function getChunkText(chunk, useSsml) {
+  return useSsml ? chunk.map(segment => segment.text).join(' ') : chunk;
+}
 
-        // Find split point (last space within limit)
-        let splitIndex = remaining.lastIndexOf(' ', safeChunkSize);
-        if (splitIndex === -1) splitIndex = safeChunkSize; // No space, hard cut
+/**
+ * Gets the text of a chunk for the transcript, with a paragraph break between segments
+ * @param {string|Array<Object>} chunk - Plain text, or the segments of an SSML request
+ * @param {boolean} useSsml - Whether the chunk is SSML segments
+ * @returns {string} The text
+ */
+function getTranscriptText(chunk, useSsml) {
+  return useSsml ? chunk.map(segment => segment.text).join('\n\n') : chunk;
+}
 
-        let part = remaining.substring(0, splitIndex).trim();
-        
-        // Ensure it ends with punctuation if it's a forced split
-        if (!/[.!?]$/.test(part)) {
-          part += '.';
-        }
+/**
+ * Loads a jingle if it can be joined to the speech: MP3 frames with a different sample rate
+ * would play at the wrong speed
+ * @param {string|null} filePath - The jingle's MP3 file, if one is configured
+ * @param {number} sampleRate - The speech's sample rate (Hz)
+ * @returns {Promise<Buffer|null>} The jingle, or null if there is none or it doesn't match
+ */
+async function loadCompatibleJingle(filePath, sampleRate) {
+  const jingle = await loadJingle(filePath);
+  if (!jingle) return null;
 
-        chunks.push(part);
-        remaining = remaining.substring(splitIndex).trim();
-      }
-    }
+  const frames = parseMp3Frames(jingle);
+  if (frames.length === 0) {
+    console.warn(`Not using jingle ${filePath}: no MP3 audio found`);
+    return null;
   }
-  
-  if (currentChunk) chunks.push(currentChunk);
-  
-  console.log(`Split text into ${chunks.length} chunks (max size: ${safeChunkSize} chars)`);
-  return chunks;
+  if (frames[0].header.sampleRate !== sampleRate) {
+    console.warn(`Not using jingle ${filePath}: it is ${frames[0].header.sampleRate} Hz and the speech is ${sampleRate} Hz (re-encode it to match)`);
+    return null;
+  }
+  return jingle;
+}
+
+/**
+ * Rounds a time to the millisecond
+ * @param {number} seconds - The time in seconds
+ * @returns {number} The rounded time
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Saves a file of the episode (audio, chapters, transcript) to cloud storage or the audio directory
+ * @param {string} filename - The file name
+ * @param {Buffer|string} content - The content
+ * @param {string} contentType - The MIME type
+ * @returns {Promise<string>} The public URL, or the local path
+ */
+export async function saveEpisodeFile(filename, content, contentType) {
+  if (config.cloud.useCloudStorage) {
+    return saveToCloudStorage(filename, content, 'audio', contentType);
+  }
+  const outputPath = path.join(config.output.audioDir, filename);
+  await fs.writeFile(outputPath, content);
+  return outputPath;
 }
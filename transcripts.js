@@ -0,0 +1,94 @@
+/**
+ * Timed transcripts (WebVTT and SRT) for episodes
+ *
+ * Timing comes from the measured duration of each synthesized chunk: the chunk's text is split
+ * into short cues (at sentence, then clause, then word boundaries) and the chunk's time is shared
+ * between them in proportion to their length. Cues are accurate to within a sentence or so, which
+ * is enough to follow along and to find a passage.
+ */
+import { splitTextIntoChunks } from './text-chunker.js';
+
+// Longest cue, about two lines of captions
+const MAX_CUE_BYTES = 120;
+
+/**
+ * Builds transcript cues from the chunks' text and timing
+ * @param {Array<string>} chunkTexts - The text of each chunk, in audio order (paragraphs separated by blank lines)
+ * @param {Array<number>} chunkOffsets - The start time of each chunk, in seconds
+ * @param {number} duration - The total duration, in seconds
+ * @returns {Array<Object>} Cues ({ start, end, text } with times in seconds)
+ */
+export function buildTranscriptCues(chunkTexts, chunkOffsets, duration) {
+  const cues = [];
+
+  chunkTexts.forEach((chunkText, i) => {
+    const start = chunkOffsets[i];
+    const end = i + 1 < chunkOffsets.length ? chunkOffsets[i + 1] : duration;
+    // A cue never spans paragraphs, so headings get cues of their own
+    const texts = chunkText.split(/\n\s*\n/)
+      .flatMap(paragraph => splitTextIntoChunks(paragraph, MAX_CUE_BYTES))
+      .map(text => text.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    // Share the chunk's time by length, ignoring spaces (which take no time to say)
+    const weights = texts.map(text => Math.max(1, text.replace(/\s/g, '').length));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let time = start;
+    texts.forEach((text, j) => {
+      const cueEnd = j === texts.length - 1 ? end : time + (end - start) * weights[j] / totalWeight;
+      cues.push({ start: time, end: cueEnd, text });
+      time = cueEnd;
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * Renders cues as WebVTT
+ * @param {Array<Object>} cues - The cues from buildTranscriptCues()
+ * @returns {string} The WebVTT file
+ */
+export function toWebVtt(cues) {
+  const body = cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escapeVttText(cue.text)}`
+  ).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Renders cues as SubRip (SRT)
+ * @param {Array<Object>} cues - The cues from buildTranscriptCues()
+ * @returns {string} The SRT file
+ */
+export function toSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`
+  ).join('\n\n') + '\n';
+}
+
+/**
+ * Formats a time as HH:MM:SS.mmm
+ * @param {number} seconds - The time in seconds
+ * @param {string} separator - Before the milliseconds: '.' for WebVTT, ',' for SRT
+ * @returns {string} The timestamp
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Escapes cue text for WebVTT (where & and < start markup)
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
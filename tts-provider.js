@@ -0,0 +1,45 @@
+/**
+ * Text-to-speech provider selection
+ *
+ * The provider is chosen with config.tts.provider (TTS_PROVIDER): 'google' (Cloud TTS, the
+ * default), 'local' (espeak-ng or piper installed on this machine, no credentials needed) or
+ * 'stub' (deterministic silence, for offline runs and trying the pipeline end to end).
+ *
+ * A provider is an object with:
+ * - name: the provider name
+ * - maxRequestBytes: the largest input accepted by one synthesize() call, in UTF-8 bytes
+ * - supportedEncodings: audio encodings it can produce (config.tts.audioConfig.audioEncoding)
+ * - voiceTiers: pricing by voice tier ({ freeCharsPerMonth, pricePerChar }), for usage cost estimates
+ * - getVoiceTier(voiceName): the tier a voice is billed at (see voice-policy.js)
+ * - supportsSsml(voiceConfig): whether SSML input can be sent for a voice
+ * - listVoices(languageCode): the voices available ({ name, languageCode, ssmlGender })
+ * - synthesize({ input, isSsml, voice, audioConfig }): the audio, as a Buffer
+ * - isTransientError(error): whether a failed synthesize() is worth retrying
+ */
+import { config } from './config.js';
+import { createGoogleProvider } from './google-tts-provider.js';
+import { createLocalProvider } from './local-tts-provider.js';
+import { createStubProvider } from './stub-tts-provider.js';
+
+const PROVIDERS = {
+  google: createGoogleProvider,
+  local: createLocalProvider,
+  stub: createStubProvider
+};
+
+let provider = null;
+
+/**
+ * Gets the configured TTS provider
+ * @returns {Object} The provider
+ */
+export function getTtsProvider() {
+  if (!provider) {
+    const createProvider = PROVIDERS[config.tts.provider];
+    if (!createProvider) {
+      throw new Error(`Unknown TTS provider "${config.tts.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = createProvider();
+  }
+  return provider;
+}
@@ -0,0 +1,129 @@
+/**
+ * URL normalization for cache keys
+ *
+ * The same article can arrive with tracking parameters, over http or https, with or without
+ * "www.", as an AMP page or through the Google AMP cache. normalizeUrl() maps all of these
+ * to one key; the page's <link rel="canonical"> (see getCanonicalUrl) covers syndicated copies.
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|mkt_tok|_hsenc|_hsmi|__hstc|__hssc|__hsfp|hsctatracking|oly_anon_id|oly_enc_id|vero_id|wickedid|rb_clickid|s_cid|cmpid|ocid|icid|ito|sr_share|smid|ref|ref_src|ref_url|CMP)$/i;
+
+// Query parameters that select the AMP version of a page
+const AMP_PARAM_PATTERN = /^(amp|outputType|output)$/i;
+
+// Host prefixes that serve the same content as the bare domain
+const HOST_PREFIX_PATTERN = /^(www\d?|m|mobile|amp)\./i;
+
+/**
+ * Normalizes an article URL for use as a cache key
+ * Non-http(s) keys (such as "pasted:<hash>") are returned unchanged.
+ * @param {string} url - The article URL
+ * @returns {string} The normalized URL
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(unwrapAmpCacheUrl(url.trim()));
+  } catch (error) {
+    return url;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return url;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = getSiteHostname(parsed.hostname);
+  parsed.hash = '';
+
+  // Drop tracking and AMP parameters, and sort the rest so their order doesn't matter
+  const params = [...parsed.searchParams]
+    .filter(([name, value]) => !TRACKING_PARAM_PATTERN.test(name) && !isAmpParam(name, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  // AMP paths (/amp, /amp/, /article.amp, /amp/article) and trailing slashes
+  parsed.pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '')
+    .replace(/^\/amp\//i, '/')
+    .replace(/\.amp(\.html)?$/i, '$1')
+    .replace(/\/+$/, '') || '/';
+
+  return parsed.href.replace(/\/$/, '');
+}
+
+/**
+ * Removes tracking parameters from a URL, keeping it otherwise as given
+ * Used for episode links, which must still open (unlike cache keys, the host is left alone).
+ * @param {string} url - The article URL
+ * @returns {string} The URL without tracking parameters
+ */
+export function stripTrackingParams(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAM_PATTERN.test(name)) parsed.searchParams.delete(name);
+  }
+  return parsed.href;
+}
+
+/**
+ * Gets a hostname without the prefixes that serve the same content as the bare domain
+ * ("www.", "m.", "amp." and the like)
+ * @param {string} hostname - The hostname
+ * @returns {string} The lower-cased hostname without its prefix
+ */
+export function getSiteHostname(hostname) {
+  return hostname.toLowerCase().replace(HOST_PREFIX_PATTERN, '');
+}
+
+/**
+ * Gets the canonical URL declared by a page (<link rel="canonical">, or og:url)
+ * Links to a site's home page are ignored, as some sites set them on every page.
+ * @param {Document} document - The parsed HTML document
+ * @param {string} url - The page URL
+ * @returns {string|null} The absolute canonical URL, or null
+ */
+export function getCanonicalUrl(document, url) {
+  const href = document.querySelector('link[rel~="canonical"][href]')?.getAttribute('href') ||
+    document.querySelector('meta[property="og:url"][content]')?.getAttribute('content');
+  if (!href) return null;
+
+  try {
+    const canonical = new URL(href.trim(), url);
+    const page = new URL(url);
+    if (!['http:', 'https:'].includes(canonical.protocol)) return null;
+    if (canonical.pathname === '/' && page.pathname !== '/') return null;
+
+    canonical.hash = '';
+    return canonical.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Converts a Google AMP cache URL (https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story)
+ * to the publisher's URL
+ * @param {string} url - The URL
+ * @returns {string} The publisher URL, or the URL unchanged
+ */
+function unwrapAmpCacheUrl(url) {
+  const match = url.match(/^https?:\/\/[^/]+\.cdn\.ampproject\.org\/[a-z]+\/(s\/)?(.+)$/i);
+  if (!match) return url;
+  return `${match[1] ? 'https' : 'http'}://${match[2]}`;
+}
+
+/**
+ * Checks if a query parameter selects the AMP version (?amp, ?amp=1, ?outputType=amp)
+ * @param {string} name - The parameter name
+ * @param {string} value - The parameter value
+ * @returns {boolean} True for AMP parameters
+ */
+function isAmpParam(name, value) {
+  if (!AMP_PARAM_PATTERN.test(name)) return false;
+  return name.toLowerCase() === 'amp' || value.toLowerCase() === 'amp';
+}
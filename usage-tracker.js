@@ -1,44 +1,11 @@
 import { loadJsonFile, saveJsonFile } from './utils.js';
-import { config } from './config.js';
+import { getTtsProvider } from './tts-provider.js';
 
 const STATS_FILE = 'usage-stats.json';
 const LOG_FILE = 'processing-log.json';
 
-const CHIRP_FEMALE_VOICES = [
-  'en-US-Chirp3-HD-Achernar',
-  'en-US-Chirp3-HD-Aoede',
-  'en-US-Chirp3-HD-Autonoe',
-  'en-US-Chirp3-HD-Callirrhoe',
-  'en-US-Chirp3-HD-Despina',
-  'en-US-Chirp3-HD-Erinome',
-  'en-US-Chirp3-HD-Gacrux',
-  'en-US-Chirp3-HD-Kore',
-  'en-US-Chirp3-HD-Laomedeia',
-  'en-US-Chirp3-HD-Leda',
-  'en-US-Chirp3-HD-Pulcherrima',
-  'en-US-Chirp3-HD-Sulafat',
-  'en-US-Chirp3-HD-Vindemiatrix',
-  'en-US-Chirp3-HD-Zephyr'
-];
-
-const CHIRP_MALE_VOICES = [
-  'en-US-Chirp3-HD-Achird',
-  'en-US-Chirp3-HD-Algenib',
-  'en-US-Chirp3-HD-Algieba',
-  'en-US-Chirp3-HD-Alnilam',
-  'en-US-Chirp3-HD-Charon',
-  'en-US-Chirp3-HD-Enceladus',
-  'en-US-Chirp3-HD-Fenrir',
-  'en-US-Chirp3-HD-Iapetus',
-  'en-US-Chirp3-HD-Orus',
-  'en-US-Chirp3-HD-Puck',
-  'en-US-Chirp3-HD-Rasalgethi',
-  'en-US-Chirp3-HD-Sadachbia',
-  'en-US-Chirp3-HD-Sadaltager',
-  'en-US-Chirp3-HD-Schedar',
-  'en-US-Chirp3-HD-Umbriel',
-  'en-US-Chirp3-HD-Zubenelgenubi'
-];
+// Tier whose usage is shown against the free allowance on the landing page
+const CHIRP_TIER = 'chirp-hd';
 
 /**
  * Logs a detailed processing event for future analysis
@@ -80,17 +47,22 @@ export async function trackUsage(charCount, voiceName) {
     };
   }
 
-  // Update counts
-  stats.history[monthKey].chirpChars = (stats.history[monthKey].chirpChars || 0) + charCount;
-  stats.history[monthKey].totalChars += charCount;
-  stats.history[monthKey].articleCount = (stats.history[monthKey].articleCount || 0) + 1;
+  // Update counts by voice tier: each tier has its own free allowance and price
+  const provider = getTtsProvider();
+  const month = stats.history[monthKey];
+  const tier = provider.getVoiceTier(voiceName);
+  month.tierChars = month.tierChars || (month.chirpChars ? { [CHIRP_TIER]: month.chirpChars } : {});
+  month.tierChars[tier] = (month.tierChars[tier] || 0) + charCount;
+  month.chirpChars = month.tierChars[CHIRP_TIER] || 0;
+  month.totalChars += charCount;
+  month.articleCount = (month.articleCount || 0) + 1;
   
   // Calculate Cost Estimate
-  // Chirp 3: HD: First 1M free, then $30/1M characters
-  const billableChars = Math.max(0, (stats.history[monthKey].chirpChars || 0) - 1000000);
-  const chirpCost = (billableChars / 1000000) * 30;
-  
-  stats.history[monthKey].costEstimate = chirpCost;
+  // e.g. Chirp 3: HD: first 1M free, then $30/1M characters (local and stub providers are free)
+  month.costEstimate = Object.entries(month.tierChars).reduce((cost, [tierName, chars]) => {
+    const pricing = provider.voiceTiers[tierName];
+    return pricing ? cost + Math.max(0, chars - pricing.freeCharsPerMonth) * pricing.pricePerChar : cost;
+  }, 0);
 
   await saveJsonFile(STATS_FILE, stats);
   
@@ -152,23 +124,3 @@ function calculateLifetimeArticles(stats) {
   }
   return total;
 }
-
-/**
- * Determines which voice to use based on current usage
- * Picks a random voice from both male and female Chirp 3: HD pools
- * @returns {Promise<Object>} The voice configuration object to use
- */
-export async function getOptimalVoice() {
-  const isMale = Math.random() < 0.5;
-  const pool = isMale ? CHIRP_MALE_VOICES : CHIRP_FEMALE_VOICES;
-  const randomVoice = pool[Math.floor(Math.random() * pool.length)];
-  const gender = isMale ? 'MALE' : 'FEMALE';
-  
-  console.log(`Selected random Chirp 3: HD ${gender} voice: ${randomVoice}`);
-  
-  return {
-    languageCode: 'en-US',
-    name: randomVoice,
-    ssmlGender: gender
-  };
-}
\ No newline at end of file
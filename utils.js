@@ -106,3 +106,54 @@ export function estimateAudioDuration(text) {
   const wordCount = text.split(/\s+/).length;
   return Math.round(wordCount / 3);
 }
+
+/**
+ * Exponential backoff with jitter: ~1s, ~2s, ~4s...
+ * @param {number} attempt - The attempt that failed (from 0)
+ * @param {number} [baseMs=1000] - Delay after the first failure
+ * @returns {number} The delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseMs = 1000) {
+  return Math.round(baseMs * 2 ** attempt * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * Results keep the order of the items. The first failure rejects, after in-flight calls settle.
+ * @param {Array} items - The items
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} The results
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  const outcomes = await Promise.allSettled(workers);
+  const failure = outcomes.find(outcome => outcome.status === 'rejected');
+  if (failure) throw failure.reason;
+  return results;
+}
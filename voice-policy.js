@@ -0,0 +1,203 @@
+/**
+ * Voice selection policy
+ *
+ * The voice of an episode is chosen, in order of precedence, from:
+ * 1. the voice named in the request (the "voice" parameter)
+ * 2. the site rule for the article's domain ("voice": "en-GB-Chirp3-HD-Charon" in site-rules.json)
+ * 3. a stable rotation through the voices of the article's language, in the first tier of
+ *    config.tts.voicePolicy.tiers still within its monthly budget. The rotation hashes the source
+ *    site (or the article, with VOICE_ROTATION=article), so a site is always read by the same voice.
+ *
+ * A site's voice is also skipped when its tier is over budget. A requested voice is always used.
+ */
+import crypto from 'crypto';
+import { config } from './config.js';
+import { getTtsProvider } from './tts-provider.js';
+import { getCurrentMonthStats } from './usage-tracker.js';
+import { loadSiteRules, findSiteRule } from './site-rules.js';
+
+// Voices by language code, listed once per process
+const voiceLists = new Map();
+
+/**
+ * Selects the voice for an article
+ * Throws an error with code "UNKNOWN_VOICE" if the requested voice doesn't exist.
+ * @param {Object} article - The processed article ({ link, siteName, language, cacheKey, content })
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.voice] - The voice name requested explicitly
+ * @param {number} [options.charCount] - Characters to synthesize, for the budget check (defaults to the article's)
+ * @returns {Promise<Object>} { voiceConfig ({ languageCode, name, ssmlGender }), reason }
+ */
+export async function selectVoice(article, options = {}) {
+  const provider = getTtsProvider();
+  const charCount = options.charCount ?? article.content?.length ?? 0;
+
+  if (options.voice) {
+    const voice = await findVoice(options.voice);
+    if (!voice) {
+      const error = new Error(`Unknown voice "${options.voice}" for the ${provider.name} TTS provider`);
+      error.code = 'UNKNOWN_VOICE';
+      throw error;
+    }
+    return logSelection(voice, 'requested');
+  }
+
+  const usage = await getTierUsage();
+  const withinBudget = tier => {
+    const budget = config.tts.voicePolicy.monthlyBudgetChars[tier];
+    return budget === undefined || (usage[tier] || 0) + charCount <= budget;
+  };
+
+  const siteRule = article.link ? findSiteRule(article.link, await loadSiteRules()) : null;
+  if (siteRule?.voice) {
+    const voice = await findVoice(siteRule.voice);
+    if (!voice) {
+      console.warn(`Ignoring unknown voice "${siteRule.voice}" in the site rule for ${siteRule.hostname}`);
+    } else if (!withinBudget(provider.getVoiceTier(voice.name))) {
+      console.warn(`Not using ${voice.name} for ${siteRule.hostname}: its tier is over this month's budget`);
+    } else {
+      return logSelection(voice, `site rule for ${siteRule.hostname}`);
+    }
+  }
+
+  // The article's language, or the default voice's when it is no more specific ("en" reads as "en-US", "en-GB" doesn't)
+  const defaultLanguage = config.tts.voice.languageCode;
+  const language = article.language && !sameLanguage(defaultLanguage, article.language, true) ? article.language : defaultLanguage;
+  let voices = await listVoices(language);
+  if (voices.length === 0 && language !== defaultLanguage) {
+    console.warn(`No ${provider.name} voices for ${language}, using ${defaultLanguage}`);
+    voices = await listVoices(defaultLanguage);
+  }
+  if (voices.length === 0) throw new Error(`The ${provider.name} TTS provider has no voices for ${language}`);
+
+  // The first preferred tier with voices and budget left; other providers' voices are all one tier
+  const tiers = config.tts.voicePolicy.tiers.filter(tier => voices.some(voice => provider.getVoiceTier(voice.name) === tier));
+  const tier = tiers.find(withinBudget) || tiers[tiers.length - 1];
+  const pool = tier ? voices.filter(voice => provider.getVoiceTier(voice.name) === tier) : voices;
+  if (tier !== tiers[0]) {
+    console.log(`Monthly budget for ${tiers.slice(0, tiers.indexOf(tier)).join(', ')} voices used up, falling back to ${tier} voices`);
+  }
+
+  const rotationKey = getRotationKey(article);
+  const voice = pool[hashToIndex(rotationKey, pool.length)];
+  return logSelection(voice, `${tier || provider.name} rotation for ${rotationKey}`);
+}
+
+/**
+ * Selects the voices for the other speakers of a multi-voice episode (see narration.js)
+ * They are voices of the narrator's language and tier, of the other gender first so the change
+ * of voice is easy to hear, in a stable order. Voices are reused if there are more speakers than voices.
+ * @param {Object} voiceConfig - The narrator's voice
+ * @param {number} count - The number of speakers
+ * @returns {Promise<Array<Object>>} A voice configuration per speaker, or none if there is no other voice
+ */
+export async function selectSecondaryVoices(voiceConfig, count) {
+  const provider = getTtsProvider();
+  const tier = provider.getVoiceTier(voiceConfig.name);
+  const voices = (await listVoices(voiceConfig.languageCode))
+    .filter(voice => voice.name !== voiceConfig.name && provider.getVoiceTier(voice.name) === tier);
+  if (voices.length === 0 || count === 0) return [];
+
+  // Start at a place that depends on the narrator, so episodes with different narrators differ
+  const start = hashToIndex(voiceConfig.name, voices.length);
+  const rotated = [...voices.slice(start), ...voices.slice(0, start)];
+  const ordered = [
+    ...rotated.filter(voice => voice.ssmlGender !== voiceConfig.ssmlGender),
+    ...rotated.filter(voice => voice.ssmlGender === voiceConfig.ssmlGender)
+  ];
+
+  return Array.from({ length: count }, (value, i) => {
+    const voice = ordered[i % ordered.length];
+    return { languageCode: voice.languageCode, name: voice.name, ssmlGender: voice.ssmlGender };
+  });
+}
+
+/**
+ * Finds a voice by name
+ * @param {string} name - The voice name (e.g. "en-GB-Chirp3-HD-Charon")
+ * @returns {Promise<Object|null>} The voice ({ name, languageCode, ssmlGender }), or null
+ */
+async function findVoice(name) {
+  // Google voice names start with their language; espeak-ng and stub names don't
+  const language = name.match(/^[a-z]{2,3}-[A-Z]{2}\b/)?.[0] || config.tts.voice.languageCode;
+  const voices = await listVoices(language);
+  return voices.find(voice => voice.name === name) || null;
+}
+
+/**
+ * Lists the provider's voices for a language, sorted by name so the rotation is stable
+ * @param {string} languageCode - The language ("en-GB", or just "de")
+ * @returns {Promise<Array<Object>>} The voices ({ name, languageCode, ssmlGender })
+ */
+async function listVoices(languageCode) {
+  if (!voiceLists.has(languageCode)) {
+    const voices = await getTtsProvider().listVoices(languageCode);
+
+    // Providers may include related languages (en-AU voices for "en-GB"): keep exact matches when there are any
+    const matching = voices.filter(voice => sameLanguage(voice.languageCode, languageCode, true));
+    const sorted = (matching.length > 0 ? matching : voices).sort((a, b) => a.name.localeCompare(b.name));
+    voiceLists.set(languageCode, sorted);
+  }
+  return voiceLists.get(languageCode);
+}
+
+/**
+ * Gets this month's characters by voice tier
+ * @returns {Promise<Object>} Characters by tier
+ */
+async function getTierUsage() {
+  const stats = await getCurrentMonthStats();
+  return stats.tierChars || { 'chirp-hd': stats.chirpChars || 0 };
+}
+
+/**
+ * Gets the key the rotation hashes: the source site, or the article itself
+ * @param {Object} article - The processed article
+ * @returns {string} The key
+ */
+function getRotationKey(article) {
+  if (config.tts.voicePolicy.rotation === 'source') {
+    try {
+      if (article.link) return new URL(article.link).hostname.replace(/^www\./, '');
+    } catch (error) { /* Not a URL: fall through */ }
+    if (article.siteName) return article.siteName;
+  }
+  return article.cacheKey || article.title || '';
+}
+
+/**
+ * Maps a key to a stable index
+ * @param {string} key - The key
+ * @param {number} length - The number of choices
+ * @returns {number} The index
+ */
+function hashToIndex(key, length) {
+  return crypto.createHash('sha256').update(key).digest().readUInt32BE(0) % length;
+}
+
+/**
+ * Checks if two language codes are the same language
+ * @param {string} a - A language code ("en", "en-GB")
+ * @param {string} b - Another language code
+ * @param {boolean} [matchRegion=false] - Also compare the regions, when b has one
+ * @returns {boolean} True if they match
+ */
+function sameLanguage(a, b, matchRegion = false) {
+  const [languageA, regionA] = (a || '').toLowerCase().split(/[-_]/);
+  const [languageB, regionB] = (b || '').toLowerCase().split(/[-_]/);
+  return languageA === languageB && (!matchRegion || !regionB || regionA === regionB);
+}
+
+/**
+ * Logs the selected voice and builds the result
+ * @param {Object} voice - The voice ({ name, languageCode, ssmlGender })
+ * @param {string} reason - Why it was chosen
+ * @returns {Object} { voiceConfig, reason }
+ */
+function logSelection(voice, reason) {
+  console.log(`Selected voice ${voice.name} (${reason})`);
+  return {
+    voiceConfig: { languageCode: voice.languageCode, name: voice.name, ssmlGender: voice.ssmlGender },
+    reason
+  };
+}